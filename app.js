@@ -7,573 +7,88 @@ window.addEventListener('unhandledrejection', (e) => {
     log(`Promise Error: ${e.reason?.message || e.reason}`, 'var(--danger)');
 });
 
-class VersionComparator {
-    static parse(versionString) {
-        const cleaned = versionString.split('+')[0].replace(/[^0-9.]/g, '');
-        const parts = cleaned.split('.').map(p => parseInt(p) || 0);
-        return { major: parts[0] || 0, minor: parts[1] || 0, patch: parts[2] || 0, raw: versionString };
-    }
-
-    static compare(v1, v2) {
-        const p1 = this.parse(v1);
-        const p2 = this.parse(v2);
-        if (p1.major !== p2.major) return p1.major - p2.major;
-        if (p1.minor !== p2.minor) return p1.minor - p2.minor;
-        return p1.patch - p2.patch;
-    }
-
-    static isNewer(v1, v2) {
-        return this.compare(v1, v2) > 0;
-    }
-
-    static satisfies(version, range) {
-        if (!range || range === '*' || range === 'any') return true;
-        if (typeof range !== 'string') range = String(range);
-
-        if (range.includes(' ') && !range.startsWith('[') && !range.startsWith('(')) {
-            return range.split(/\s+/).every(part => this.satisfies(version, part.trim()));
-        }
-
-        if (range.includes('x') || (range.includes('*') && range !== '*')) {
-            if (!range.match(/^[>=<]/)) {
-                const pattern = range.replace(/\./g, '\\.').replace(/[x\*]/g, '.*');
-                const regex = new RegExp('^' + pattern + '(|\\+.*)$');
-                return regex.test(version);
-            }
-            range = range.replace(/[x\*]/g, '0');
-        }
-
-        if (range.startsWith('~')) {
-            const target = range.slice(1);
-            const p = this.parse(target);
-            const min = target;
-            const max = `${p.major}.${p.minor + 1}.0`;
-            const cmpMin = this.compare(version, min);
-            const cmpMax = this.compare(version, max);
-            return cmpMin >= 0 && cmpMax < 0;
-        }
-
-        if (range.startsWith('>=') || range.startsWith('>') || range.startsWith('<=') || range.startsWith('<')) {
-            const op = range.match(/(>=|>|<=|<)/)[0];
-            const target = range.slice(op.length);
-            const cmp = this.compare(version, target);
-            if (op === '>=') return cmp >= 0;
-            if (op === '>') return cmp > 0;
-            if (op === '<=') return cmp <= 0;
-            if (op === '<') return cmp < 0;
-        }
-
-        if (range.startsWith('[') || range.startsWith('(')) {
-            const parts = range.slice(1, -1).split(',');
-            const min = parts[0].trim();
-            const max = parts[1] ? parts[1].trim() : null;
-
-            let minOk = true;
-            if (min) {
-                const cmp = this.compare(version, min);
-                minOk = range.startsWith('[') ? cmp >= 0 : cmp > 0;
-            }
-
-            let maxOk = true;
-            if (max) {
-                const cmp = this.compare(version, max);
-                maxOk = range.endsWith(']') ? cmp <= 0 : cmp < 0;
-            }
-
-            return minOk && maxOk;
-        }
-
-        return this.compare(version, range) === 0;
-    }
-}
-
-class JarMetadataExtractor {
-    constructor() {
-        this.cache = new Map();
-    }
-
-    async extract(url, fileName) {
-        if (this.cache.has(url)) {
-            return this.cache.get(url).metadata;
-        }
-
-        try {
-            const response = await fetch(url);
-            if (!response.ok) throw new Error(`HTTP Error: ${response.status}`);
-
-            const blob = await response.blob();
-            const zip = await JSZip.loadAsync(blob);
-
-            const metadata = await this.parseMetadata(zip, fileName);
-            this.cache.set(url, { metadata, blob });
-            return metadata;
-        } catch (err) {
-            log(`Failed to analyze mod "${fileName}": ${err.message}`, 'var(--danger)');
-            const fallback = { mods: [{ id: fileName, version: 'unknown' }], bundled: [] };
-            this.cache.set(url, { metadata: fallback, blob: null });
-            return fallback;
-        }
-    }
-
-    async parseMetadata(zip, fileName) {
-        try {
-            const fabricMod = zip.file('fabric.mod.json');
-            if (fabricMod) return await this.parseFabricMod(fabricMod, zip);
-
-            const forgeMod = zip.file('META-INF/mods.toml');
-            if (forgeMod) return await this.parseForgeMod(forgeMod);
-
-            return { mods: [{ id: fileName, version: 'unknown' }], bundled: [] };
-        } catch (err) {
-            log(`Error parsing metadata for "${fileName}": ${err.message}`, 'var(--danger)');
-            return { mods: [{ id: fileName, version: 'unknown' }], bundled: [] };
-        }
-    }
-
-    async parseFabricMod(file, zip) {
-        try {
-            const content = await file.async('string');
-            const data = JSON.parse(content);
-
-            const mods = [{
-                id: data.id || 'unknown',
-                version: data.version || 'unknown',
-                name: data.name,
-                depends: data.depends || {},
-                provides: data.provides || []
-            }];
-            if (data.provides && !Array.isArray(data.provides)) {
-                mods[0].provides = Object.keys(data.provides);
-            }
-            const bundled = [];
-
-            if (data.jars && Array.isArray(data.jars)) {
-                for (const jar of data.jars) {
-                    try {
-                        const nestedFile = zip.file(jar.file);
-                        if (nestedFile) {
-                            const nestedZip = await JSZip.loadAsync(await nestedFile.async('blob'));
-                            const nestedMeta = await this.parseMetadata(nestedZip, jar.file);
-                            bundled.push(...nestedMeta.mods);
-                        }
-                    } catch (e) {
-                        log(`Warning: Failed to parse bundled JAR "${jar.file}"`, 'var(--warning)');
-                    }
-                }
-            }
-
-            return { mods, bundled };
-        } catch (err) {
-            log(`Fabric metadata error: ${err.message}`, 'var(--danger)');
-            return { mods: [{ id: 'parse_error', version: 'unknown', depends: {} }], bundled: [] };
-        }
-    }
-
-    async parseForgeMod(file) {
-        try {
-            const content = await file.async('string');
-            const modIdMatch = content.match(/modId\s*=\s*"([^"]+)"/);
-            const versionMatch = content.match(/version\s*=\s*"([^"]+)"/);
-
-            const id = modIdMatch ? modIdMatch[1] : 'unknown';
-            const version = versionMatch ? versionMatch[1] : 'unknown';
-            const depends = {};
-
-            const depBlocks = content.split('[[dependencies.');
-            for (let i = 1; i < depBlocks.length; i++) {
-                const block = depBlocks[i];
-                const depId = block.split(']]')[0].trim();
-                const versionRangeMatch = block.match(/versionRange\s*=\s*"([^"]+)"/);
-                const mandatoryMatch = block.match(/mandatory\s*=\s*(true|false)/);
-
-                if (mandatoryMatch && mandatoryMatch[1] === 'true') {
-                    depends[depId] = versionRangeMatch ? versionRangeMatch[1] : '*';
-                }
-            }
-
-            return { mods: [{ id, version, depends }], bundled: [] };
-        } catch (err) {
-            log(`Forge metadata error: ${err.message}`, 'var(--danger)');
-            return { mods: [{ id: 'parse_error', version: 'unknown', depends: {} }], bundled: [] };
-        }
-    }
-}
-
-
-class DependencyValidator {
-    static validate(modRegistry) {
-        const issues = [];
-
-        const presentMods = new Map();
-        modRegistry.forEach((data, url) => {
-            const fileName = data.fileName;
-            const packName = data.packName;
-            data.metadata.mods.forEach(m => {
-                presentMods.set(m.id, { version: m.version, fileName, packName });
-                if (m.provides && Array.isArray(m.provides)) {
-                    m.provides.forEach(pId => {
-                        if (!presentMods.has(pId)) presentMods.set(pId, { version: m.version, fileName, packName, isProvided: true });
-                    });
-                }
-            });
-            data.metadata.bundled.forEach(m => presentMods.set(m.id, { version: m.version, fileName, packName }));
-        });
-
-        modRegistry.forEach((data, url) => {
-            const metadata = data.metadata;
-            if (!metadata.mods) return;
-
-            const primaryMod = metadata.mods[0];
-            if (!primaryMod || !primaryMod.depends) return;
-
-            for (const [depId, range] of Object.entries(primaryMod.depends)) {
-                if (['minecraft', 'java', 'fabricloader', 'fabric', 'quiltloader', 'forge', 'neoforge', 'liteloader', 'mixinextras', 'mixinextra', 'mixins', 'cloth-config', 'cloth-config2'].includes(depId.toLowerCase())) continue;
-
-                if (!presentMods.has(depId)) {
-                    issues.push({
-                        type: 'missing',
-                        modId: depId,
-                        requiredBy: primaryMod.id,
-                        requiredVersion: range,
-                        message: `Mod '${primaryMod.id}' requires '${depId}' (${range}), but it's missing!`
-                    });
-                } else {
-                    const present = presentMods.get(depId);
-                    if (!VersionComparator.satisfies(present.version, range)) {
-                        issues.push({
-                            type: 'outdated',
-                            modId: depId,
-                            requiredBy: primaryMod.id,
-                            requiredVersion: range,
-                            presentVersion: present.version,
-                            message: `Mod '${primaryMod.id}' requires version '${range}' of '${depId}', but version '${present.version}' is installed!`
-                        });
-                    }
-                }
-            }
+const LOG_LEVEL_COLORS = {
+    info: 'var(--accent)',
+    success: 'var(--success)',
+    warning: 'var(--warning)',
+    error: 'var(--danger)'
+};
+
+MergeLog.setHandler((level, message) => log(message, LOG_LEVEL_COLORS[level]));
+
+class SessionStore {
+    static DB_NAME = 'modpack-merger';
+    static DB_VERSION = 1;
+    static db = null;
+
+    static open() {
+        if (this.db) return Promise.resolve(this.db);
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('sessions')) db.createObjectStore('sessions', { keyPath: 'id' });
+                if (!db.objectStoreNames.contains('archives')) db.createObjectStore('archives');
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
         });
-        return issues;
     }
-}
 
-class ConflictResolver {
-    constructor(extractor) {
-        this.extractor = extractor;
-        this.modRegistry = new Map();
-    }
-
-    async analyzeFiles(files, packs) {
-        this.modRegistry.clear();
-        const enriched = [];
-
-        const filesToAnalyze = files.filter(f => f.enabled && f.category === 'mods');
-        const skippedFiles = files.filter(f => !f.enabled || f.category !== 'mods');
-
-        skippedFiles.forEach(file => {
-            enriched.push({ ...file, metadata: null, conflicts: [] });
+    static async transaction(storeNames, mode, fn) {
+        const db = await this.open();
+        const tx = db.transaction(storeNames, mode);
+        const done = new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
         });
-
-        const batchSize = 5;
-        const totalFiles = filesToAnalyze.length;
-
-        for (let i = 0; i < totalFiles; i += batchSize) {
-            const batch = filesToAnalyze.slice(i, i + batchSize);
-            const progress = Math.min(i + batchSize, totalFiles);
-
-            log(`Analyzing JARs: ${progress}/${totalFiles}`, 'var(--accent)');
-
-            const batchResults = await Promise.all(
-                batch.map(async (file) => {
-                    const pack = packs.find(p => p.id === file.pId);
-                    let metadata;
-                    if (file.isStandard) {
-                        try {
-                            metadata = await this.extractor.parseMetadata(file._entry, file.fileName);
-                        } catch (e) {
-                            metadata = { mods: [{ id: file.fileName, version: 'unknown', depends: {} }], bundled: [] };
-                        }
-                    } else {
-                        const url = file.downloads[0];
-                        metadata = await this.extractor.extract(url, file.fileName);
-                    }
-                    const conflicts = this.detectConflicts(file, metadata, pack);
-                    return { ...file, metadata, conflicts };
-                })
-            );
-
-            batchResults.forEach(result => {
-                enriched.push(result);
-                const key = result.isStandard ? `local:${result.pId}:${result.path}` : result.downloads[0];
-                this.modRegistry.set(key, {
-                    metadata: result.metadata,
-                    fileName: result.fileName,
-                    packName: result.pName
-                });
-            });
-        }
-
-        return enriched;
+        const result = fn(tx);
+        await done;
+        return result;
     }
 
-    detectConflicts(file, metadata, pack) {
-        const conflicts = [];
-        if (!metadata || !metadata.mods) return conflicts;
-
-        for (const mod of metadata.mods) {
-            if (this.modRegistry.has(mod.id)) {
-                const existing = this.modRegistry.get(mod.id);
-                const comparison = VersionComparator.compare(mod.version, existing.version);
-
-                if (comparison !== 0) {
-                    conflicts.push({
-                        type: 'version',
-                        modId: mod.id,
-                        thisVersion: mod.version,
-                        otherVersion: existing.version,
-                        otherFile: existing.fileName,
-                        resolution: comparison > 0 ? 'keep_this' : 'keep_other'
-                    });
-                } else {
-                    conflicts.push({
-                        type: 'duplicate',
-                        modId: mod.id,
-                        version: mod.version,
-                        otherFile: existing.fileName
-                    });
-                }
-            }
-        }
-        return conflicts;
+    static archiveKey(sessionId, packId) {
+        return `${sessionId}:${packId}`;
     }
 
-    registerMods(file, metadata) {
-        if (!metadata || !metadata.mods) return;
-        for (const mod of metadata.mods) {
-            if (!this.modRegistry.has(mod.id)) {
-                this.modRegistry.set(mod.id, {
-                    fileName: file.fileName,
-                    version: mod.version,
-                    packId: file.pId
-                });
-            }
-        }
+    static archiveRange(sessionId) {
+        return IDBKeyRange.bound(`${sessionId}:`, `${sessionId}:\uffff`);
     }
 
-    extractModSlug(filename) {
-        if (!filename.toLowerCase().endsWith('.jar')) return filename;
-        let name = filename.slice(0, -4);
-        const match = name.match(/^(.*?)(?:[-+](?:\d|v\d))/i);
-        if (match) {
-            name = match[1];
-        }
-        return name.toLowerCase().trim();
+    static async list() {
+        const request = await this.transaction(['sessions'], 'readonly', tx => tx.objectStore('sessions').getAll());
+        return request.result.sort((a, b) => b.savedAt - a.savedAt);
     }
 
-    resolveByPriority(files, packs) {
-        const pathRegistry = new Map();
-        const modIdRegistry = new Map();
-        const slugRegistry = new Map();
-
-        for (const pack of packs) {
-            const packFiles = files.filter(f => f.pId === pack.id);
-
-            for (const file of packFiles) {
-                file.isDuplicate = false;
-                file.enabled = true;
-
-                if (pathRegistry.has(file.path)) {
-                    file.enabled = false;
-                    file.isDuplicate = true;
-                    file.keptSource = pathRegistry.get(file.path);
-                    file.conflictReason = 'Exact path duplicate';
-                    continue;
-                }
-                pathRegistry.set(file.path, file.pName || pack.name);
-
-                if (file.metadata && file.metadata.mods) {
-                    let isOlder = false;
-                    for (const mod of file.metadata.mods) {
-                        if (modIdRegistry.has(mod.id)) {
-                            const existing = modIdRegistry.get(mod.id);
-                            const comparison = VersionComparator.compare(mod.version, existing.version);
-                            if (comparison < 0) {
-                                isOlder = true;
-                                file.keptSource = existing.packName;
-                                file.conflictReason = `Older version (Mod ID: ${mod.id})`;
-                                break;
-                            }
-                        }
-                    }
-
-                    if (isOlder) {
-                        file.enabled = false;
-                        file.isDuplicate = true;
-                        continue;
-                    }
-
-                    for (const mod of file.metadata.mods) {
-                        modIdRegistry.set(mod.id, {
-                            version: mod.version,
-                            packName: file.pName || pack.name
-                        });
-                    }
-                }
-
-                if (file.category === 'mods') {
-                    const slug = this.extractModSlug(file.fileName);
-                    if (slugRegistry.has(slug)) {
-                        const existing = slugRegistry.get(slug);
-                        file.enabled = false;
-                        file.isDuplicate = true;
-                        file.keptSource = existing.packName;
-                        file.conflictReason = `Possible duplicate of ${existing.fileName}`;
-                        continue;
-                    }
-                    slugRegistry.set(slug, {
-                        fileName: file.fileName,
-                        packName: file.pName || pack.name
-                    });
-                }
-            }
-        }
+    static async load(sessionId) {
+        const requests = await this.transaction(['sessions', 'archives'], 'readonly', tx => ({
+            session: tx.objectStore('sessions').get(sessionId),
+            archives: tx.objectStore('archives').getAll(this.archiveRange(sessionId))
+        }));
+        return { session: requests.session.result || null, archives: requests.archives.result };
     }
-}
 
-class CompatibilityValidator {
-    static checkPackCompatibility(packs) {
-        const issues = [];
-        if (packs.length === 0) return issues;
-
-        const basePack = packs[0];
-        const baseVersion = basePack.ver;
-        const baseLoader = basePack.loader;
-
-        for (let i = 1; i < packs.length; i++) {
-            const pack = packs[i];
-            if (pack.ver !== baseVersion) {
-                issues.push({
-                    type: 'version_mismatch',
-                    severity: 'critical',
-                    pack1: basePack.name,
-                    pack2: pack.name,
-                    version1: baseVersion,
-                    version2: pack.ver,
-                    message: `Minecraft version mismatch: ${basePack.name} (${baseVersion}) vs ${pack.name} (${pack.ver})`
-                });
-            }
-            if (pack.loader !== baseLoader) {
-                issues.push({
-                    type: 'loader_mismatch',
-                    severity: 'critical',
-                    pack1: basePack.name,
-                    pack2: pack.name,
-                    loader1: baseLoader,
-                    loader2: pack.loader,
-                    message: `Mod loader mismatch: ${basePack.name} (${baseLoader}) vs ${pack.name} (${pack.loader})`
-                });
-            }
-        }
-        return issues;
-    }
+    static async save(session, archives) {
+        await this.transaction(['sessions', 'archives'], 'readwrite', tx => {
+            tx.objectStore('sessions').put(session);
+            const store = tx.objectStore('archives');
+            archives.forEach(archive => store.put(archive, this.archiveKey(session.id, archive.packId)));
 
-    static getCompatibilitySummary(issues) {
-        if (issues.length === 0) return { compatible: true, message: 'All packs are compatible' };
-        const versionIssues = issues.filter(i => i.type === 'version_mismatch').length;
-        const loaderIssues = issues.filter(i => i.type === 'loader_mismatch').length;
-        const messages = [];
-        if (versionIssues > 0) messages.push(`${versionIssues} version conflict(s)`);
-        if (loaderIssues > 0) messages.push(`${loaderIssues} loader conflict(s)`);
-        return { compatible: false, message: messages.join(', '), details: issues };
-    }
-}
-
-class StandardPackResolver {
-    static getCategory(path) {
-        const lowerPath = path.toLowerCase();
-        if (lowerPath.startsWith('mods/') || lowerPath.includes('/mods/')) return 'mods';
-        if (lowerPath.startsWith('resourcepacks/') || lowerPath.includes('resourcepacks/')) return 'resourcepacks';
-        if (lowerPath.startsWith('shaderpacks/') || lowerPath.includes('shaderpacks/')) return 'shaderpacks';
-        if (lowerPath.startsWith('config/') || lowerPath.includes('config/') || lowerPath.startsWith('scripts/') || lowerPath.includes('scripts/')) return 'configs';
-        return 'others';
-    }
-
-    static async detectMetadata(zip) {
-        let version = null;
-        let loader = null;
-
-        const manifestEntry = zip.file('manifest.json');
-        if (manifestEntry) {
-            try {
-                const data = JSON.parse(await manifestEntry.async('string'));
-                if (data.minecraft) {
-                    version = data.minecraft.version;
-                    if (data.minecraft.modLoaders && data.minecraft.modLoaders.length > 0) {
-                        loader = data.minecraft.modLoaders[0].id.split('-')[0];
-                    }
-                }
-            } catch (e) {
-                console.warn('Failed to parse manifest.json');
-            }
-        }
-
-        const instanceCfg = zip.file('instance.cfg');
-        if (instanceCfg && !version) {
-            try {
-                const content = await instanceCfg.async('string');
-                const vMatch = content.match(/IntendedVersion=([^ \r\n]+)/);
-                if (vMatch) version = vMatch[1];
-                if (content.includes('LWJGL')) loader = content.includes('Fabric') ? 'fabric' : 'forge';
-            } catch (e) { }
-        }
-
-        if (!version || !loader) {
-            const modPaths = Object.keys(zip.files).filter(p => (p.startsWith('mods/') || p.includes('/mods/')) && p.endsWith('.jar'));
-            for (const path of modPaths) {
-                const name = path.split('/').pop();
-                if (!version) {
-                    const vMatch = name.match(/(1\.\d+(?:\.\d+)?)/);
-                    if (vMatch) version = vMatch[1];
-                }
-                if (!loader) {
-                    if (name.toLowerCase().includes('fabric')) loader = 'fabric';
-                    else if (name.toLowerCase().includes('forge')) loader = 'forge';
-                    else if (name.toLowerCase().includes('quilt')) loader = 'quilt';
-                    else if (name.toLowerCase().includes('neoforge')) loader = 'neoforge';
-                    else if (name.toLowerCase().includes('liteloader') || name.endsWith('.litemod')) loader = 'liteloader';
-                }
-                if (version && loader) break;
-            }
-
-            if (!loader) {
-                const hasLite = Object.keys(zip.files).some(p => p.endsWith('.litemod'));
-                if (hasLite) loader = 'liteloader';
-            }
-        }
-
-        return {
-            ver: version || (loadedPacks.length > 0 ? loadedPacks[0].ver : null),
-            loader: loader || (loadedPacks.length > 0 && loadedPacks[0].loader !== 'unknown' ? loadedPacks[0].loader : null)
-        };
+            const keep = new Set(session.packs.map(pack => this.archiveKey(session.id, pack.id)));
+            const keys = store.getAllKeys(this.archiveRange(session.id));
+            keys.onsuccess = () => keys.result.filter(key => !keep.has(key)).forEach(key => store.delete(key));
+        });
     }
 
-    static async resolve(zip, pId, pName) {
-        const files = [];
-        const entries = Object.keys(zip.files);
-        for (const path of entries) {
-            const entry = zip.files[path];
-            if (entry.dir) continue;
-
-            files.push({
-                path: path,
-                fileName: path.split('/').pop(),
-                pId, pName,
-                enabled: true,
-                category: this.getCategory(path),
-                isStandard: true,
-                _entry: entry
-            });
-        }
-        return files;
+    static async remove(sessionId) {
+        await this.transaction(['sessions', 'archives'], 'readwrite', tx => {
+            tx.objectStore('sessions').delete(sessionId);
+            tx.objectStore('archives').delete(this.archiveRange(sessionId));
+        });
     }
 }
 
@@ -583,6 +98,8 @@ let currentTab = 'mods';
 let metadataExtractor = new JarMetadataExtractor();
 let conflictResolver = new ConflictResolver(metadataExtractor);
 let analysisInProgress = false;
+let configMerges = new Map();
+let manualOverrides = new Map();
 
 function log(msg, color = 'var(--success)', bold = false) {
     const area = document.getElementById('log-area');
@@ -594,102 +111,67 @@ function log(msg, color = 'var(--success)', bold = false) {
     area.scrollTop = area.scrollHeight;
 }
 
+async function loadPackArchive(file, fileName = file.name, pId = Math.random().toString(36).substr(2, 9)) {
+    deepAnalysisPerformed = false;
+    const loaded = await PackLoader.load(file, fileName, { pId, resolver: conflictResolver, fallback: loadedPacks[0], accept: confirmPackReplace });
+    if (!loaded) return;
+
+    const pack = loaded.pack;
+    pack.archive = file;
+    loadedPacks.push(pack);
+    allFiles.push(...loaded.files);
+
+    const replaced = loadedPacks.find(p => p.name === pack.name && p.id !== pId);
+    if (replaced) await replacePack(replaced, pack);
+}
+
 document.getElementById('fileInput').addEventListener('change', async (e) => {
     const files = Array.from(e.target.files);
+    let recipe = null;
     for (const file of files) {
-        try {
-            const zip = await JSZip.loadAsync(file);
-            const indexFile = zip.file("modrinth.index.json");
-            const pId = Math.random().toString(36).substr(2, 9);
-            deepAnalysisPerformed = false;
-
-            if (indexFile) {
-                const index = JSON.parse(await indexFile.async("string"));
-                if (loadedPacks.some(p => p.name === index.name)) {
-                    log(`Skipped: Modrinth Pack "${index.name}" is already loaded.`, 'var(--warning)');
-                    continue;
-                }
-
-                const packFiles = index.files.map(f => ({
-                    path: f.path,
-                    fileName: f.path.split('/').pop(),
-                    pId, pName: index.name,
-                    enabled: true,
-                    category: 'mods',
-                    isStandard: false,
-                    downloads: f.downloads,
-                    _original: f
-                }));
-
-                for (let path in zip.files) {
-                    if (path.startsWith("overrides/") && !zip.files[path].dir) {
-                        const relPath = path.replace("overrides/", "");
-                        packFiles.push({
-                            path: relPath,
-                            fileName: relPath.split('/').pop(),
-                            pId, pName: index.name,
-                            enabled: true,
-                            category: StandardPackResolver.getCategory(relPath),
-                            isStandard: true,
-                            _entry: zip.files[path]
-                        });
-                    }
-                }
-
-                const depKeys = Object.keys(index.dependencies);
-                let detectedLoader = 'fabric';
-                if (depKeys.some(k => k.includes('fabric'))) detectedLoader = 'fabric';
-                else if (depKeys.some(k => k.includes('forge')) && !depKeys.some(k => k.includes('neoforge'))) detectedLoader = 'forge';
-                else if (depKeys.some(k => k.includes('neoforge'))) detectedLoader = 'neoforge';
-                else if (depKeys.some(k => k.includes('quilt'))) detectedLoader = 'quilt';
-                else if (depKeys.some(k => k.includes('liteloader'))) detectedLoader = 'liteloader';
-
-                loadedPacks.push({
-                    id: pId, zip,
-                    name: index.name,
-                    ver: index.dependencies.minecraft,
-                    loader: detectedLoader,
-                    type: 'modrinth',
-                    metadata: index
-                });
-                allFiles.push(...packFiles);
-                log(`Loaded Modrinth Pack: ${index.name}`);
-            } else {
-                if (loadedPacks.some(p => p.name === file.name)) {
-                    log(`Skipped: Standard ZIP "${file.name}" is already loaded.`, 'var(--warning)');
-                    continue;
-                }
-                const packFiles = await StandardPackResolver.resolve(zip, pId, file.name);
-                const detected = await StandardPackResolver.detectMetadata(zip);
-
-                loadedPacks.push({
-                    id: pId, zip,
-                    name: file.name,
-                    ver: detected.ver || '1.20.1',
-                    loader: detected.loader || 'fabric',
-                    type: 'standard'
-                });
-                allFiles.push(...packFiles);
-                log(`Loaded Standard ZIP: ${file.name} (Detected: ${detected.ver || '1.20.1'}, ${detected.loader || 'fabric'})`);
+        if (file.name.toLowerCase().endsWith('.json')) {
+            try {
+                recipe = MergeRecipe.validate(JSON.parse(await file.text()));
+                log(`Loaded merge recipe: ${file.name}`);
+            } catch (err) {
+                log(`Error reading recipe ${file.name}: ${err.message}`, 'var(--danger)');
             }
+            continue;
+        }
+        try {
+            await loadPackArchive(file);
         } catch (err) {
             log(`Error parsing pack: ${err.message}`, 'var(--danger)');
         }
     }
     updateUI();
-    await performAnalysis(false);
+    if (recipe) await applyRecipe(recipe);
+    else await performAnalysis(false);
 });
 
+async function refreshConfigMerges() {
+    configMerges = await ConfigMerger.buildMerges(allFiles, loadedPacks, configMerges, manualOverrides);
+    const conflictCount = [...configMerges.values()].reduce((sum, m) => sum + m.conflicts.length, 0);
+    if (configMerges.size > 0) {
+        log(`Merged ${configMerges.size} config file(s) key by key (${conflictCount} conflicting key(s)).`, 'var(--accent)');
+    }
+    const panel = document.getElementById('config-merge-panel');
+    if (panel && !configMerges.has(panel.dataset.path)) panel.style.display = 'none';
+}
+
 async function performAnalysis(deep = false) {
     if (analysisInProgress) return;
     if (!deep) {
         const compatIssues = CompatibilityValidator.checkPackCompatibility(loadedPacks);
         displayCompatibilityWarnings(compatIssues);
-        if (compatIssues.length === 0) {
+        if (!compatIssues.some(issue => CompatibilityValidator.isBlocking(issue))) {
             conflictResolver.resolveByPriority(allFiles, loadedPacks);
+            applyManualOverrides();
+            await refreshConfigMerges();
             const duplicateCount = allFiles.filter(f => f.isDuplicate && !f.enabled).length;
             if (duplicateCount > 0) {
-                log(`Instant Check: Auto-resolved ${duplicateCount} duplicate(s) based on filenames.`, 'var(--accent)');
+                const byHash = allFiles.filter(f => f.duplicateMethod === 'hash').length;
+                log(`Instant Check: Auto-resolved ${duplicateCount} duplicate(s) (${byHash} by content hash).`, 'var(--accent)');
             }
         }
         updateUI();
@@ -697,12 +179,13 @@ async function performAnalysis(deep = false) {
     }
 
     const compatIssues = CompatibilityValidator.checkPackCompatibility(loadedPacks);
-    if (compatIssues.length > 0) {
+    if (compatIssues.some(issue => CompatibilityValidator.isBlocking(issue))) {
         alert("Warning: Cannot perform Deep JAR Analysis while compatibility issues exist.");
         return;
     }
 
     conflictResolver.resolveByPriority(allFiles, loadedPacks);
+    applyManualOverrides();
     const modsToAnalyze = allFiles.filter(f => f.enabled && f.downloads && f.downloads.length > 0).length;
 
     if (modsToAnalyze > 0) {
@@ -717,11 +200,14 @@ async function performAnalysis(deep = false) {
     }
 
     clearDependencyIssues();
+    const autosave = setInterval(saveSession, 15000);
     try {
         allFiles = await conflictResolver.analyzeFiles(allFiles, loadedPacks);
         conflictResolver.resolveByPriority(allFiles, loadedPacks);
+        applyManualOverrides();
+        await refreshConfigMerges();
 
-        const depIssues = DependencyValidator.validate(conflictResolver.modRegistry);
+        const depIssues = collectDependencyIssues();
         deepAnalysisPerformed = true;
         log('Deep Analysis Complete', 'var(--success)', true);
 
@@ -732,83 +218,157 @@ async function performAnalysis(deep = false) {
     } catch (err) {
         log(`Analysis error: ${err.message}`, 'var(--danger)');
     }
+    clearInterval(autosave);
     analysisInProgress = false;
     updateUI();
 }
 
-class ModrinthResolver {
-    static async searchFix(modId, range, mcVersion, loader) {
-        try {
-            const searchUrl = `https://api.modrinth.com/v2/search?query=${modId}&facets=[["categories:${loader}"],["versions:${mcVersion}"]]`;
-            const searchResp = await fetch(searchUrl);
-            const searchData = await searchResp.json();
-
-            if (searchData.hits.length === 0) return null;
-
-            const project = searchData.hits.find(h => h.slug === modId || h.title.toLowerCase().includes(modId));
-            if (!project) return null;
-
-            const versionsUrl = `https://api.modrinth.com/v2/project/${project.project_id}/version?loaders=["${loader}"]&game_versions=["${mcVersion}"]`;
-            const versionsResp = await fetch(versionsUrl);
-            const versions = await versionsResp.json();
-
-            for (const v of versions) {
-                if (VersionComparator.satisfies(v.version_number, range)) {
-                    return {
-                        projectId: project.project_id,
-                        versionId: v.id,
-                        versionNumber: v.version_number,
-                        fileName: v.files[0].filename,
-                        url: v.files[0].url,
-                        size: v.files[0].size,
-                        hashes: v.files[0].hashes,
-                        primary: true
-                    };
-                }
-            }
-        } catch (e) {
-            log(`Modrinth search failed: ${e.message}`, 'var(--danger)');
-        }
-        return null;
+function resolveLoaderVersion() {
+    const input = document.getElementById('loaderVersionOverride');
+    return LoaderVersionResolver.resolve(loadedPacks, conflictResolver.enabledRegistry(allFiles), (input && input.value.trim()) || null);
+}
+
+function renderLoaderVersion() {
+    const info = document.getElementById('loader-version-info');
+    if (!info) return;
+    if (loadedPacks.length === 0) {
+        info.textContent = '';
+        return;
     }
 
-    static async applyFix(issue) {
-        const base = loadedPacks[0];
-        if (!base) return;
-
-        log(`Attempting auto-fix for ${issue.modId}...`, 'var(--accent)');
-        const fix = await this.searchFix(issue.modId, issue.requiredVersion, base.ver, base.loader);
-
-        if (fix) {
-            log(`Found compatible version: ${fix.versionNumber}`, 'var(--success)');
-
-            const newFile = {
-                path: `mods/${fix.fileName}`,
-                fileName: fix.fileName,
-                pId: base.id,
-                pName: base.name,
-                enabled: true,
-                category: 'mods',
-                isStandard: false,
-                downloads: [fix.url],
-                _original: {
-                    path: `mods/${fix.fileName}`,
-                    hashes: fix.hashes,
-                    env: { client: "required", server: "required" },
-                    downloads: [fix.url],
-                    fileSize: fix.size
-                }
-            };
+    const resolution = resolveLoaderVersion();
+    info.textContent = LoaderVersionResolver.describe(resolution);
+    info.style.color = resolution.unsatisfied.length > 0 || !resolution.version ? 'var(--danger)' : resolution.unconfirmed ? 'var(--warning)' : 'var(--text-muted)';
+    const input = document.getElementById('loaderVersionOverride');
+    if (input && !resolution.overridden) input.placeholder = resolution.version || 'Unknown';
+}
 
-            allFiles.push(newFile);
-            updateUI();
-            log(`Added ${fix.fileName} to modpack registry.`, 'var(--success)');
-            alert(`Success! Added ${fix.fileName} to fix dependency requirement.`);
-        } else {
-            log(`Could not find a compatible version of '${issue.modId}' on Modrinth.`, 'var(--warning)');
-            alert(`Sorry, I couldn't find a compatible version of '${issue.modId}' on Modrinth that matches Minecraft ${base.ver} and ${base.loader}.`);
+function onLoaderVersionChange() {
+    renderLoaderVersion();
+    refreshDependencyIssues();
+}
+
+function collectDependencyIssues() {
+    const javaInput = document.getElementById('javaVersion');
+    const platform = DependencyValidator.platformFor(loadedPacks[0], {
+        java: javaInput && javaInput.value.trim(),
+        loaderVersion: resolveLoaderVersion().version
+    });
+    const registry = conflictResolver.enabledRegistry(allFiles);
+    return [
+        ...DependencyValidator.validate(registry, platform),
+        ...CompatibilityValidator.checkModLoaders(registry, loadedPacks[0])
+    ];
+}
+
+function refreshDependencyIssues() {
+    scheduleSessionSave();
+    if (!deepAnalysisPerformed || analysisInProgress) return;
+    const depIssues = collectDependencyIssues();
+    if (depIssues.length > 0) displayDependencyIssues(depIssues);
+    else clearDependencyIssues();
+}
+
+function isModIssue(issue) {
+    return issue.type === 'platform' || issue.type === 'loader' || issue.type === 'range';
+}
+
+function isFixableIssue(issue) {
+    return issue.type === 'missing' || issue.type === 'outdated';
+}
+
+function presentModSets() {
+    const enabled = new Set(allFiles.filter(f => f.enabled).map(f => `${f.pId}:${f.path}`));
+    const presentProjectIds = allFiles
+        .filter(f => f.enabled)
+        .map(f => ModrinthResolver.projectIdFromUrl((f.downloads || [])[0]))
+        .filter(Boolean);
+
+    const presentModIds = [];
+    conflictResolver.modRegistry.forEach(data => {
+        if (!data.metadata || !enabled.has(`${data.pId}:${data.path}`)) return;
+        data.metadata.mods.forEach(m => presentModIds.push(m.id, ...(Array.isArray(m.provides) ? m.provides : [])));
+        data.metadata.bundled.forEach(m => presentModIds.push(m.id));
+    });
+    return { presentProjectIds, presentModIds };
+}
+
+function addFixFile(fix, base) {
+    if (fix.replaces) {
+        conflictResolver.modRegistry.forEach(data => {
+            if (!data.metadata || !data.metadata.mods.some(m => m.id === fix.replaces)) return;
+            const old = allFiles.find(f => f.pId === data.pId && f.path === data.path && f.enabled);
+            if (!old) return;
+            old.enabled = false;
+            old.conflictReason = `Replaced by ${fix.fileName}`;
+            manualOverrides.set(`${old.pId}:${old.path}`, false);
+        });
+    }
+
+    allFiles.push({
+        path: `mods/${fix.fileName}`,
+        fileName: fix.fileName,
+        pId: base.id,
+        pName: base.name,
+        enabled: true,
+        category: 'mods',
+        isStandard: false,
+        addedByFix: true,
+        downloads: [fix.url],
+        side: EnvironmentResolver.fromEnv(fix.env),
+        _original: {
+            path: `mods/${fix.fileName}`,
+            hashes: fix.hashes,
+            env: fix.env,
+            downloads: [fix.url],
+            fileSize: fix.size
         }
+    });
+}
+
+async function applyDependencyFixes(issues) {
+    const base = loadedPacks[0];
+    if (!base || issues.length === 0) return;
+
+    log(`Resolving ${issues.length} dependency issue(s) on Modrinth...`, 'var(--accent)');
+    const { additions, unresolved, fixed } = await ModrinthResolver.resolveFixes(issues, {
+        mcVersion: base.ver,
+        loader: base.loader,
+        ...presentModSets()
+    });
+    unresolved.forEach(item => {
+        log(`Could not resolve '${item.modId}' (required by ${item.requiredBy}): ${item.reason}`, 'var(--warning)');
+    });
+
+    if (additions.length === 0) {
+        if (fixed.length > 0) log('Every required mod is already in the merge.', 'var(--success)');
+        else alert(`Sorry, I couldn't find compatible versions on Modrinth that match Minecraft ${base.ver} and ${base.loader}.`);
+        return;
     }
+
+    const summary = additions.map(fix => {
+        const replaces = fix.replaces ? `, replaces ${fix.replaces}` : '';
+        return `• ${fix.fileName} (${fix.title} ${fix.versionNumber}) for ${fix.requiredBy}${replaces}`;
+    }).join('\n');
+    const missing = unresolved.length > 0 ? `\n\n${unresolved.length} requirement(s) could not be resolved, see the log.` : '';
+    if (!confirm(`Add ${additions.length} file(s) to ${base.name}?\n\n${summary}${missing}`)) {
+        log('Auto-fix cancelled.', 'var(--warning)');
+        return;
+    }
+
+    additions.forEach(fix => {
+        addFixFile(fix, base);
+        log(`Added ${fix.fileName} (${fix.versionNumber}) for ${fix.requiredBy}.`, 'var(--success)');
+    });
+
+    const remaining = currentDependencyIssues.filter(issue => !fixed.includes(issue));
+    if (remaining.length > 0) displayDependencyIssues(remaining);
+    else clearDependencyIssues();
+    updateUI();
+}
+
+function fixAllDependencyIssues() {
+    return applyDependencyFixes(currentDependencyIssues.filter(isFixableIssue));
 }
 
 function displayCompatibilityWarnings(issues) {
@@ -822,8 +382,10 @@ function displayCompatibilityWarnings(issues) {
     }
 
     warningDiv.style.display = 'block';
-    detailsDiv.innerHTML = issues.map(issue => `<div>• ${issue.message}</div>`).join('');
-    mergeBtn.disabled = true;
+    const blocking = issues.some(issue => CompatibilityValidator.isBlocking(issue));
+    warningDiv.style.background = blocking ? 'var(--danger)' : 'var(--warning)';
+    detailsDiv.innerHTML = issues.map(issue => `<div>• ${CompatibilityValidator.isBlocking(issue) ? '' : '(warning) '}${issue.message}</div>`).join('');
+    if (mergeBtn) mergeBtn.disabled = blocking;
 }
 
 let currentDependencyIssues = [];
@@ -834,17 +396,81 @@ function displayDependencyIssues(issues) {
 
     currentDependencyIssues = issues;
     warningDiv.style.display = 'block';
+    const fixAllBtn = document.getElementById('fixAllDepsBtn');
+    if (fixAllBtn) fixAllBtn.style.display = issues.some(isFixableIssue) ? '' : 'none';
+
+    const groups = new Map();
+    issues.forEach((issue, idx) => {
+        if (!isModIssue(issue)) return;
+        const ref = issue.files[0];
+        const key = `${ref.pId}:${ref.path}`;
+        if (!groups.has(key)) groups.set(key, { ref, idx, issues: [] });
+        groups.get(key).issues.push(issue);
+    });
+
+    const modRows = [...groups.values()].map(group => `
+        <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:5px; padding:5px; background:rgba(255,255,255,0.1); border-radius:4px;">
+            <div>
+                <div style="font-weight:bold;">${group.ref.fileName} (${group.ref.packName})</div>
+                ${group.issues.map(issue => `<div>• ${issue.severity === 'warning' ? '(warning) ' : ''}${issue.message}</div>`).join('')}
+            </div>
+            <button class="btn btn-sm" style="background:var(--danger); color:white; border:none; padding:4px 8px; cursor:pointer;" onclick="disableIssueFile(${group.idx})">
+                Disable
+            </button>
+        </div>
+    `).join('');
 
-    detailsDiv.innerHTML = issues.map((issue, idx) => `
+    detailsDiv.innerHTML = modRows + issues.map((issue, idx) => isModIssue(issue) ? '' : `
         <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:5px; padding:5px; background:rgba(255,255,255,0.1); border-radius:4px;">
             <span>• ${issue.message}</span>
-            <button class="btn btn-sm" style="background:var(--success); color:white; border:none; padding:4px 8px; cursor:pointer;" onclick="ModrinthResolver.applyFix(currentDependencyIssues[${idx}])">
+            ${issue.type === 'conflict' ? `
+            <button class="btn btn-sm" style="background:var(--danger); color:white; border:none; padding:4px 8px; cursor:pointer;" onclick="disableLowerPriority(${idx})">
+                Disable lower priority
+            </button>` : `
+            <button class="btn btn-sm" style="background:var(--success); color:white; border:none; padding:4px 8px; cursor:pointer;" onclick="applyDependencyFixes([currentDependencyIssues[${idx}]])">
                 Auto-Fix
-            </button>
+            </button>`}
         </div>
     `).join('');
 }
 
+function disableLowerPriority(idx) {
+    const issue = currentDependencyIssues[idx];
+    if (!issue || issue.type !== 'conflict') return;
+
+    const priorityOf = (ref) => loadedPacks.findIndex(p => p.id === ref.pId);
+    const [declaring, other] = issue.files;
+    const target = priorityOf(other) > priorityOf(declaring) ? other : declaring;
+
+    const file = allFiles.find(f => f.pId === target.pId && f.path === target.path);
+    if (file) {
+        file.enabled = false;
+        file.conflictReason = `Incompatible with ${target === other ? declaring.fileName : other.fileName}`;
+        manualOverrides.set(`${file.pId}:${file.path}`, false);
+        log(`Disabled ${file.fileName} (${target.packName}) to resolve conflict between '${issue.requiredBy}' and '${issue.modId}'.`, 'var(--warning)');
+    }
+
+    filterFiles();
+    refreshDependencyIssues();
+}
+
+function disableIssueFile(idx) {
+    const issue = currentDependencyIssues[idx];
+    if (!issue || !issue.files) return;
+
+    issue.files.forEach(ref => {
+        const file = allFiles.find(f => f.pId === ref.pId && f.path === ref.path);
+        if (!file) return;
+        file.enabled = false;
+        file.conflictReason = issue.message;
+        manualOverrides.set(`${file.pId}:${file.path}`, false);
+        log(`Disabled ${file.fileName} (${ref.packName}).`, 'var(--warning)');
+    });
+
+    filterFiles();
+    refreshDependencyIssues();
+}
+
 function clearDependencyIssues() {
     const warningDiv = document.getElementById('dependency-warning');
     if (warningDiv) warningDiv.style.display = 'none';
@@ -855,12 +481,14 @@ function updateUI() {
     const list = document.getElementById('packList');
     list.innerHTML = '';
     const compatIssues = CompatibilityValidator.checkPackCompatibility(loadedPacks);
-    const hasIssues = compatIssues.length > 0;
+    const hasIssues = compatIssues.some(issue => CompatibilityValidator.isBlocking(issue));
 
     loadedPacks.forEach((p, idx) => {
         const li = document.createElement('li');
         li.className = 'pack-item';
-        const isIncompatible = hasIssues && idx > 0 && (p.ver !== loadedPacks[0].ver || p.loader !== loadedPacks[0].loader);
+        const packIssues = idx > 0 ? compatIssues.filter(issue => issue.pack2 === p.name) : [];
+        const isIncompatible = packIssues.some(issue => CompatibilityValidator.isBlocking(issue));
+        const hasWarnings = !isIncompatible && packIssues.length > 0;
 
         li.innerHTML = `
             <div style="display:flex; align-items:center;">
@@ -869,9 +497,10 @@ function updateUI() {
                     <button class="p-btn" onclick="movePriority(${idx}, 1)">DOWN</button>
                 </div>
                 <div>
-                    <div><b>${p.name}</b> ${isIncompatible ? '<span class="badge danger">INCOMPATIBLE</span>' : ''}</div>
+                    <div><b>${p.name}</b> ${isIncompatible ? '<span class="badge danger">INCOMPATIBLE</span>' : ''}${hasWarnings ? '<span class="badge warning">CHECK LOADER</span>' : ''}</div>
                     <div class="pack-meta">
                         <span class="meta-tag action" onclick="filterByPack('${p.id}')">View contents</span>
+                        <span class="meta-tag action" onclick="portPack('${p.id}')">${idx > 0 && p.ver !== loadedPacks[0].ver ? `Port to ${loadedPacks[0].ver}` : 'Port...'}</span>
                         <span class="meta-tag ${p.type === 'standard' ? 'editable' : ''}" 
                               onclick="${p.type === 'standard' ? `editMetadata('${p.id}', 'ver')` : ''}"
                               title="${p.type === 'standard' ? 'Click to edit version' : ''}">${p.ver}</span>
@@ -887,9 +516,26 @@ function updateUI() {
 
     const zipBtn = document.getElementById('exportZipBtn');
     const mrpackBtn = document.getElementById('exportMrpackBtn');
+    const curseforgeBtn = document.getElementById('exportCurseForgeBtn');
+    const prismBtn = document.getElementById('exportPrismBtn');
+    const packwizBtn = document.getElementById('exportPackwizBtn');
+    const serverBtn = document.getElementById('exportServerBtn');
+    const recipeBtn = document.getElementById('exportRecipeBtn');
     const disabled = (loadedPacks.length === 0 || hasIssues);
     if (zipBtn) zipBtn.disabled = disabled;
     if (mrpackBtn) mrpackBtn.disabled = disabled;
+    if (curseforgeBtn) curseforgeBtn.disabled = disabled;
+    if (prismBtn) prismBtn.disabled = disabled;
+    if (packwizBtn) packwizBtn.disabled = disabled;
+    if (serverBtn) serverBtn.disabled = disabled;
+    if (recipeBtn) recipeBtn.disabled = loadedPacks.length === 0;
+
+    const updatesBtn = document.getElementById('checkUpdatesBtn');
+    if (updatesBtn) {
+        updatesBtn.disabled = loadedPacks.length === 0 || hasIssues || updateCheckInProgress;
+        updatesBtn.title = loadedPacks.length === 0 ? 'Load packs first' : (hasIssues ? 'Fix compatibility issues first' : '');
+        updatesBtn.innerText = updateCheckInProgress ? 'Checking...' : 'Update Mods';
+    }
 
     const analyzeBtn = document.getElementById('deepAnalyzeBtn');
     if (analyzeBtn) {
@@ -909,6 +555,8 @@ function updateUI() {
         }
     }
 
+    renderLoaderVersion();
+
     const uniqueMods = new Set();
     allFiles.forEach(f => {
         if (f.category === 'mods' && f.enabled) {
@@ -928,8 +576,17 @@ function updateUI() {
         statusText.innerHTML = `${loadedPacks.length} packs loaded | <span style="color:var(--accent); font-weight:bold;">${uniqueMods.size} mods</span>`;
     }
     filterFiles();
+    scheduleSessionSave();
 }
 
+const DUPLICATE_METHOD_LABELS = {
+    hash: 'content hash',
+    path: 'identical path',
+    'mod-id': 'mod ID',
+    project: 'project ID',
+    filename: 'filename heuristic'
+};
+
 function filterFiles() {
     const query = document.getElementById('modSearch').value.toLowerCase();
     const duplicatesOnly = document.getElementById('showDuplicatesOnly').checked;
@@ -960,12 +617,26 @@ function filterFiles() {
             bundledInfo = `<div style="font-size:0.65rem; color:var(--warning); margin-top:3px;">Contains ${m.metadata.bundled.length} bundled mod(s)</div>`;
         }
 
+        const side = m.category === 'mods' ? EnvironmentResolver.sideOf(m) : null;
+        const sideInfo = side ? `<span class="badge ${side === 'both' ? 'info' : 'warning'}" style="margin-top:3px;">${EnvironmentResolver.LABELS[side]}</span>` : '';
+
         let conflictInfo = '';
         if (m.conflictReason) {
             conflictInfo = `<span class="auto-resolved">Excluded: ${m.conflictReason}</span>`;
         } else if (m.isDuplicate && m.keptSource) {
             conflictInfo = `<span class="auto-resolved">Excluded: Replaced by ${m.keptSource}</span>`;
         }
+        if (m.distributionDisabled) {
+            conflictInfo += `<div style="font-size:0.65rem; color:var(--warning); margin-top:3px;">Download disabled by author (CurseForge and packwiz exports only)</div>`;
+        }
+        if (m.configMerge) {
+            const merge = m.configMerge;
+            const conflictCount = merge.conflicts.length + (merge.keybindConflicts ? merge.keybindConflicts.length : 0);
+            conflictInfo += `<div class="meta-tag action" style="display:inline-block; margin-top:3px;" onclick="showConfigMerge('${m.path}')">Merged from ${merge.sources.length} packs${conflictCount ? ` | ${conflictCount} conflict(s)` : ''}</div>`;
+        }
+        if (m.isDuplicate && m.duplicateMethod) {
+            conflictInfo += `<div style="font-size:0.65rem; color:#a6adc8; margin-top:3px;">Detected by: ${DUPLICATE_METHOD_LABELS[m.duplicateMethod]}</div>`;
+        }
 
         card.innerHTML = `
                 ${m.isDuplicate ? '<span class="duplicate-badge">LOWER PRIO</span>' : ''}
@@ -973,6 +644,7 @@ function filterFiles() {
                 <div class="card-content">
                     <div class="file-title" title="${m.fileName}">${m.fileName}</div>
                     <div style="font-size:0.7rem; color:var(--accent)">Source: ${m.pName}</div>
+                    ${sideInfo}
                     ${bundledInfo}
                     ${conflictInfo}
                 </div>`;
@@ -980,10 +652,113 @@ function filterFiles() {
     });
 }
 
-function toggleFile(path, pId) {
+function showConfigMerge(path) {
+    const merge = configMerges.get(path);
+    const panel = document.getElementById('config-merge-panel');
+    const details = document.getElementById('config-merge-details');
+    if (!merge || !panel || !details) return;
+
+    panel.dataset.path = path;
+    panel.style.display = 'block';
+    document.getElementById('config-merge-title').textContent = `${path} (${merge.format.toUpperCase()})`;
+
+    const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+
+    if (merge.format === 'servers') {
+        details.innerHTML = merge.servers.length === 0 ? '<div>No servers left in the list.</div>' : merge.servers.map((server, idx) => `
+        <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:5px; padding:5px; background:rgba(255,255,255,0.1); border-radius:4px;">
+            <span><b>${escape(server.name || server.ip)}</b> <span style="font-family:monospace;">${escape(server.ip)}</span> <span style="color:var(--accent); font-size:0.75rem;">from ${escape(merge.sources[server.source].file.pName)}</span></span>
+            <span>
+                <button class="p-btn" onclick="moveServer('${path}', ${idx}, -1)">UP</button>
+                <button class="p-btn" onclick="moveServer('${path}', ${idx}, 1)">DOWN</button>
+                <button class="btn danger" onclick="removeServer('${path}', ${idx})">X</button>
+            </span>
+        </div>
+    `).join('');
+        return;
+    }
+
+    if (merge.format === 'options') {
+        const conflicts = merge.keybindConflicts || [];
+        details.innerHTML = `<div style="margin-bottom:5px;">Resource pack lists were combined; other settings come from ${escape(merge.owner.pName)}.</div>` +
+            (conflicts.length === 0 ? '<div>No keybind conflicts.</div>' : conflicts.map(c => `
+        <div style="margin-bottom:5px; padding:5px; background:rgba(255,255,255,0.1); border-radius:4px; color:var(--warning);">
+            • ${escape(c.key)}: ${c.bindings.map(escape).join(', ')}
+        </div>`).join(''));
+        return;
+    }
+
+    if (merge.conflicts.length === 0) {
+        details.innerHTML = '<div>No conflicting keys. All settings were combined.</div>';
+        return;
+    }
+
+    const preview = (value) => {
+        const text = JSON.stringify(value);
+        return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+    };
+
+    details.innerHTML = merge.conflicts.map((conflict, idx) => `
+        <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:5px; padding:5px; background:rgba(255,255,255,0.1); border-radius:4px;">
+            <span style="font-family:monospace;">${escape(conflict.keyPath.join('.'))}</span>
+            <select onchange="chooseConfigValue('${path}', ${idx}, parseInt(this.value))">
+                ${conflict.options.map((option, optionIdx) => `
+                <option value="${optionIdx}" ${optionIdx === conflict.choice ? 'selected' : ''}>${escape(merge.sources[option.source].file.pName)}: ${escape(preview(option.value))}</option>`).join('')}
+            </select>
+        </div>
+    `).join('');
+}
+
+function chooseConfigValue(path, conflictIdx, optionIdx) {
+    const merge = configMerges.get(path);
+    if (!merge || !merge.conflicts[conflictIdx]) return;
+
+    const conflict = merge.conflicts[conflictIdx];
+    conflict.choice = optionIdx;
+    ConfigMerger.render(merge);
+    scheduleSessionSave();
+    log(`${path}: using ${merge.sources[conflict.options[optionIdx].source].file.pName}'s value for '${conflict.keyPath.join('.')}'.`, 'var(--accent)');
+    if (merge.unmerged) log(`${path} cannot be rewritten without losing its comments or layout; the ${merge.sources[0].file.pName} copy is exported unchanged.`, 'var(--warning)');
+}
+
+function moveServer(path, idx, direction) {
+    const merge = configMerges.get(path);
+    const newIdx = idx + direction;
+    if (!merge || newIdx < 0 || newIdx >= merge.servers.length) return;
+
+    const server = merge.servers.splice(idx, 1)[0];
+    merge.servers.splice(newIdx, 0, server);
+    ConfigMerger.render(merge);
+    scheduleSessionSave();
+    showConfigMerge(path);
+}
+
+function removeServer(path, idx) {
+    const merge = configMerges.get(path);
+    if (!merge || !merge.servers[idx]) return;
+
+    const server = merge.servers.splice(idx, 1)[0];
+    merge.removed.add(server.address);
+    ConfigMerger.render(merge);
+    scheduleSessionSave();
+    log(`Removed server ${server.name || server.ip} from ${path}.`, 'var(--warning)');
+    showConfigMerge(path);
+}
+
+function hideConfigMerge() {
+    const panel = document.getElementById('config-merge-panel');
+    if (panel) panel.style.display = 'none';
+}
+
+async function toggleFile(path, pId) {
     const file = allFiles.find(m => m.path === path && m.pId === pId);
-    if (file) file.enabled = !file.enabled;
+    if (file) {
+        file.enabled = !file.enabled;
+        manualOverrides.set(`${file.pId}:${file.path}`, file.enabled);
+        if (ConfigMerger.formatFor(file.path) && allFiles.some(f => f !== file && f.path === file.path)) await refreshConfigMerges();
+    }
     filterFiles();
+    scheduleSessionSave();
 }
 
 async function movePriority(idx, direction) {
@@ -997,98 +772,42 @@ async function movePriority(idx, direction) {
 }
 
 async function mergePacks(format) {
-    try {
-        const isZipMode = (format === 'zip');
-        log(`Starting export as ${isZipMode ? 'Standard ZIP' : 'MRPACK'}...`, 'var(--accent)', true);
+    const loaderResolution = resolveLoaderVersion();
+    if (loaderResolution.unconfirmed && !confirm(`${LoaderVersionResolver.describe(loaderResolution)}\n\nExport with ${loaderResolution.version} anyway? Enter the exact version in the loader version field to skip this check.`)) {
+        log('Export cancelled: confirm the loader version first.', 'var(--warning)');
+        return;
+    }
 
-        const outZip = new JSZip();
-        const finalFiles = [];
-        const finalFilePaths = new Set();
-        const activeFiles = allFiles.filter(f => f.enabled);
-        const total = activeFiles.length;
-        let done = 0;
+    try {
+        const exportFormat = EXPORT_FORMATS[format];
+        log(`Starting export as ${exportFormat.label}...`, 'var(--accent)', true);
 
         const progressDiv = document.createElement('div');
         progressDiv.style.color = 'var(--accent)';
         progressDiv.style.fontFamily = 'monospace';
         document.getElementById('log-area').appendChild(progressDiv);
 
-        const updateBar = (c) => {
+        const updateBar = (c, total) => {
             const p = Math.round((c / total) * 100);
             const bar = "#".repeat(Math.round(p / 4)) + "-".repeat(25 - Math.round(p / 4));
             progressDiv.textContent = `[${bar}] ${p}% (${c}/${total})`;
         };
 
-        const transferList = [];
-        const workerFiles = [];
-
-        for (const pack of loadedPacks) {
-            const packFiles = activeFiles.filter(f => f.pId === pack.id);
-            for (const f of packFiles) {
-                if (finalFilePaths.has(f.path)) { done++; updateBar(done); continue; }
-
-                try {
-                    let data;
-                    if (isZipMode) {
-                        if (f.isStandard) {
-                            data = await f._entry.async("uint8array");
-                        } else {
-                            const cached = metadataExtractor.cache.get(f.downloads[0]);
-                            if (cached && cached.blob) {
-                                data = new Uint8Array(await cached.blob.arrayBuffer());
-                            } else {
-                                const resp = await fetch(f.downloads[0]);
-                                data = new Uint8Array(await resp.arrayBuffer());
-                            }
-                        }
-                    } else {
-                        if (f.isStandard) {
-                            data = await f._entry.async("uint8array");
-                        } else {
-                            finalFiles.push(f._original);
-                        }
-                    }
-
-                    if (data) {
-                        const path = isZipMode ? f.path : `overrides/${f.path}`;
-                        workerFiles.push({ path, data });
-                        transferList.push(data.buffer);
-                    }
-                    finalFilePaths.add(f.path);
-                } catch (e) {
-                    log(`Failed: ${f.fileName}`, 'var(--danger)');
-                }
-                done++;
-                updateBar(done);
-            }
-        }
-
-        let firstPackDeps = null;
-        if (loadedPacks[0]) {
-            const base = loadedPacks[0];
-            if (base.type === 'modrinth' && base.metadata) {
-                firstPackDeps = base.metadata.dependencies;
-            } else {
-                firstPackDeps = { minecraft: base.ver, [base.loader || 'fabric']: "latest" };
-            }
-        }
-
         const packName = document.getElementById('customPackName').value || "Merged Pack";
         const versionId = document.getElementById('customVersionId').value || "1.0.0";
-
-        if (!isZipMode) {
-            const index = {
-                formatVersion: 1,
-                game: 'minecraft',
-                versionId: versionId,
-                name: packName,
-                files: finalFiles,
-                dependencies: firstPackDeps || { minecraft: "1.20.1", fabric: "latest" }
-            };
-            const indexContent = new TextEncoder().encode(JSON.stringify(index, null, 2));
-            workerFiles.push({ path: "modrinth.index.json", data: indexContent });
-            transferList.push(indexContent.buffer);
-        }
+        if (loaderResolution.unsatisfied.length > 0) log(LoaderVersionResolver.describe(loaderResolution), 'var(--warning)');
+
+        const workerFiles = await PackExporter.build(format, {
+            packs: loadedPacks,
+            files: allFiles,
+            configMerges,
+            extractor: metadataExtractor,
+            name: packName,
+            version: versionId,
+            loaderVersion: loaderResolution.version,
+            onProgress: updateBar
+        });
+        const transferList = workerFiles.map(f => f.data.buffer);
 
         log("Handing over to Background Worker...", "var(--accent)");
         progressDiv.textContent = "[Background] Initializing Worker...";
@@ -1115,7 +834,7 @@ async function mergePacks(format) {
                 progressDiv.textContent = `Building ZIP: ${Math.round(e.data.percent)}%`;
             } else if (e.data.type === 'complete') {
                 log("Export successful! Preparing download...", "var(--success)", true);
-                saveAs(e.data.blob, `${packName}-${versionId}.${isZipMode ? 'zip' : 'mrpack'}`);
+                saveAs(e.data.blob, `${packName}-${versionId}${EXPORT_FORMATS[format].suffix}`);
                 worker.terminate();
             }
         };
@@ -1136,6 +855,7 @@ function switchTab(tab) {
 function removePack(idx) {
     const id = loadedPacks[idx].id;
     allFiles = allFiles.filter(m => m.pId !== id);
+    [...manualOverrides.keys()].filter(key => key.startsWith(`${id}:`)).forEach(key => manualOverrides.delete(key));
     loadedPacks.splice(idx, 1);
     deepAnalysisPerformed = false;
     performAnalysis();
@@ -1147,8 +867,12 @@ function filterByPack(id) {
 }
 
 function bulkSet(val) {
-    allFiles.filter(m => m.category === currentTab).forEach(f => f.enabled = val);
+    allFiles.filter(m => m.category === currentTab).forEach(f => {
+        f.enabled = val;
+        manualOverrides.set(`${f.pId}:${f.path}`, val);
+    });
     filterFiles();
+    scheduleSessionSave();
 }
 
 function editMetadata(pId, field) {
@@ -1156,4 +880,482 @@ function editMetadata(pId, field) {
     if (!pack) return;
     const newVal = prompt(`Edit ${field}:`, pack[field]);
     if (newVal) { pack[field] = newVal; performAnalysis(); }
-}
\ No newline at end of file
+}
+
+async function portPack(pId) {
+    const pack = loadedPacks.find(p => p.id === pId);
+    if (!pack) return;
+
+    const base = loadedPacks[0];
+    const target = (prompt(`Port ${pack.name} (${pack.ver}) to which Minecraft version?`, pack !== base && base.ver !== pack.ver ? base.ver : '') || '').trim();
+    if (!target || target === pack.ver) return;
+
+    log(`Looking up ${target} versions of ${pack.name}'s mods on Modrinth...`, 'var(--accent)');
+    let result;
+    try {
+        result = await ModUpdater.port(allFiles.filter(f => f.pId === pId), { mcVersion: target, loader: pack.loader, extractor: metadataExtractor });
+    } catch (err) {
+        log(`Port lookup failed: ${err.message}`, 'var(--danger)');
+        return;
+    }
+
+    const { updates, compatible, missing } = result;
+    const missingList = missing.map(m => `• ${m.file.fileName} (${m.reason})`).join('\n');
+    const summary = `${updates.length} mod(s) will be replaced with ${target} versions, ${compatible.length} already support ${target}.`;
+    const question = missing.length > 0
+        ? `${summary}\n\n${missing.length} mod(s) have no port and will be excluded:\n${missingList}\n\nPort ${pack.name} to ${target}?`
+        : `${summary}\n\nPort ${pack.name} to ${target}?`;
+    if (!confirm(question)) {
+        log(`Port of ${pack.name} cancelled.`, 'var(--warning)');
+        return;
+    }
+
+    updates.forEach(update => {
+        const oldKey = `${update.file.pId}:${update.file.path}`;
+        if (!update.file.sourcePath) update.file.sourcePath = update.file.path;
+        ModUpdater.apply(update);
+        if (manualOverrides.has(oldKey)) {
+            manualOverrides.set(`${update.file.pId}:${update.file.path}`, manualOverrides.get(oldKey));
+            manualOverrides.delete(oldKey);
+        }
+    });
+    missing.forEach(({ file, reason }) => {
+        file.enabled = false;
+        file.conflictReason = `No ${target} port (${reason})`;
+        manualOverrides.set(`${file.pId}:${file.path}`, false);
+        log(`Excluded ${file.fileName}: ${reason}`, 'var(--warning)');
+    });
+
+    const from = pack.ver;
+    pack.ver = target;
+    if (pack.metadata && pack.metadata.dependencies) pack.metadata.dependencies.minecraft = target;
+    log(`Ported ${pack.name} from ${from} to ${target}: ${updates.length} replaced, ${missing.length} excluded.`, 'var(--success)');
+    if (pack.loaderVersion) log(`${pack.loader} ${pack.loaderVersion} was kept; check that it supports ${target}.`, 'var(--warning)');
+    performAnalysis();
+}
+
+function confirmPackReplace(name, label) {
+    if (!loadedPacks.some(p => p.name === name)) return true;
+    if (confirm(`${label} "${name}" is already loaded. Replace it with this file and show what changed?`)) return true;
+    log(`Skipped: ${label} "${name}" is already loaded.`, 'var(--warning)');
+    return false;
+}
+
+async function replacePack(oldPack, newPack) {
+    const oldFiles = allFiles.filter(f => f.pId === oldPack.id);
+    const newFiles = allFiles.filter(f => f.pId === newPack.id);
+    const diff = await PackDiff.compute(oldFiles, newFiles);
+
+    let keptDecisions = 0;
+    diff.unchanged.forEach(([before, after]) => {
+        const key = `${before.pId}:${before.path}`;
+        if (manualOverrides.has(key)) {
+            manualOverrides.set(`${after.pId}:${after.path}`, manualOverrides.get(key));
+            keptDecisions++;
+        }
+        if (before.metadata && !after.metadata) after.metadata = before.metadata;
+    });
+    [...manualOverrides.keys()].filter(key => key.startsWith(`${oldPack.id}:`)).forEach(key => manualOverrides.delete(key));
+
+    configMerges = new Map([...configMerges].map(([path, merge]) => {
+        const snapshot = ConfigMerger.snapshot(merge);
+        const choices = Object.fromEntries(Object.entries(snapshot.choices).map(([keyPath, pId]) => [keyPath, pId === oldPack.id ? newPack.id : pId]));
+        return [path, { ...snapshot, choices }];
+    }));
+
+    loadedPacks.splice(loadedPacks.indexOf(newPack), 1);
+    loadedPacks.splice(loadedPacks.indexOf(oldPack), 1, newPack);
+    allFiles = allFiles.filter(f => f.pId !== oldPack.id);
+
+    log(`Replaced "${oldPack.name}": ${diff.added.length} added, ${diff.removed.length} removed, ${diff.updated.length} updated mod(s); ${keptDecisions} manual decision(s) kept.`, 'var(--accent)', true);
+    showPackDiff(newPack.name, diff);
+}
+
+function showPackDiff(name, diff) {
+    const panel = document.getElementById('pack-diff-panel');
+    const details = document.getElementById('pack-diff-details');
+    if (!panel || !details) return;
+
+    panel.style.display = 'block';
+    document.getElementById('pack-diff-title').textContent = name;
+
+    const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+    const section = (title, color, items) => items.length === 0 ? '' : `
+        <div style="margin-bottom:8px;">
+            <div style="font-weight:bold; color:${color};">${title} (${items.length})</div>
+            ${items.map(item => `<div style="font-family:monospace; font-size:0.8rem;">${item}</div>`).join('')}
+        </div>`;
+
+    const html = [
+        section('Added mods', 'var(--success)', diff.added.map(m => `+ ${escape(m.name)} ${escape(m.version)}`)),
+        section('Removed mods', 'var(--danger)', diff.removed.map(m => `- ${escape(m.name)} ${escape(m.version)}`)),
+        section('Updated mods', 'var(--warning)', diff.updated.map(m => `~ ${escape(m.name)}: ${escape(m.from)} &rarr; ${escape(m.to)}`)),
+        section('Config files', 'var(--accent)', [
+            ...diff.configs.added.map(path => `+ ${escape(path)}`),
+            ...diff.configs.removed.map(path => `- ${escape(path)}`),
+            ...diff.configs.changed.map(path => `~ ${escape(path)}`)
+        ])
+    ].join('');
+    details.innerHTML = html || '<div>No differences found.</div>';
+}
+
+function hidePackDiff() {
+    const panel = document.getElementById('pack-diff-panel');
+    if (panel) panel.style.display = 'none';
+}
+
+let currentModUpdates = [];
+let updateCheckInProgress = false;
+async function checkModUpdates() {
+    const base = loadedPacks[0];
+    if (!base || updateCheckInProgress) return;
+
+    updateCheckInProgress = true;
+    updateUI();
+    log(`Checking Modrinth for updates (Minecraft ${base.ver}, ${base.loader})...`, 'var(--accent)');
+    try {
+        const result = await ModUpdater.check(allFiles, { mcVersion: base.ver, loader: base.loader, extractor: metadataExtractor });
+        if (result.unknown.length > 0) {
+            log(`${result.unknown.length} mod(s) are not on Modrinth or could not be hashed; run Deep Analysis to hash downloaded JARs.`, 'var(--warning)');
+        }
+        log(`${result.updates.length} update(s) available, ${result.upToDate.length} mod(s) up to date.`, result.updates.length > 0 ? 'var(--success)' : 'var(--text-muted)');
+        showModUpdates(result.updates);
+    } catch (err) {
+        log(`Update check failed: ${err.message}`, 'var(--danger)');
+    }
+    updateCheckInProgress = false;
+    updateUI();
+}
+
+function showModUpdates(updates) {
+    const panel = document.getElementById('mod-update-panel');
+    const details = document.getElementById('mod-update-details');
+    if (!panel || !details) return;
+
+    currentModUpdates = updates;
+    panel.style.display = 'block';
+    document.getElementById('applyUpdatesBtn').style.display = updates.length > 0 ? '' : 'none';
+    if (updates.length === 0) {
+        details.innerHTML = '<div>Every mod found on Modrinth is up to date.</div>';
+        return;
+    }
+
+    const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+    details.innerHTML = `
+        <table style="width:100%; border-collapse:collapse; font-size:0.85rem;">
+            <tr style="text-align:left; color:var(--text-muted);">
+                <th></th><th>Mod</th><th>Pack</th><th>Current</th><th>Available</th><th></th>
+            </tr>
+            ${updates.map((update, idx) => `
+            <tr>
+                <td><input type="checkbox" class="mod-update-select" data-idx="${idx}" checked></td>
+                <td>${escape(update.name)}</td>
+                <td>${escape(update.file.pName)}</td>
+                <td style="font-family:monospace;">${escape(update.from)}</td>
+                <td style="font-family:monospace; color:var(--success);">${escape(update.to)}</td>
+                <td><a href="${escape(update.changelogUrl)}" target="_blank" rel="noopener" style="color:var(--accent);">Changelog</a></td>
+            </tr>`).join('')}
+        </table>`;
+}
+
+function applyModUpdates() {
+    const selected = Array.from(document.querySelectorAll('.mod-update-select'))
+        .filter(box => box.checked)
+        .map(box => currentModUpdates[Number(box.dataset.idx)]);
+    if (selected.length === 0) return;
+
+    selected.forEach(update => {
+        const oldKey = `${update.file.pId}:${update.file.path}`;
+        if (!update.file.sourcePath) update.file.sourcePath = update.file.path;
+        ModUpdater.apply(update);
+        if (manualOverrides.has(oldKey)) {
+            manualOverrides.set(`${update.file.pId}:${update.file.path}`, manualOverrides.get(oldKey));
+            manualOverrides.delete(oldKey);
+        }
+        log(`Updated ${update.name}: ${update.from} -> ${update.to}`, 'var(--success)');
+    });
+
+    hideModUpdates();
+    if (deepAnalysisPerformed) log('Run Deep Analysis again to re-check dependencies of the updated mods.', 'var(--warning)');
+    updateUI();
+}
+
+function hideModUpdates() {
+    const panel = document.getElementById('mod-update-panel');
+    if (panel) panel.style.display = 'none';
+    currentModUpdates = [];
+}
+
+function applyManualOverrides() {
+    ConflictResolver.applyOverrides(allFiles, manualOverrides);
+}
+
+function exportRecipe() {
+    if (loadedPacks.length === 0) return;
+
+    const packName = document.getElementById('customPackName').value || "Merged Pack";
+    const recipe = MergeRecipe.create({
+        packs: loadedPacks,
+        files: allFiles,
+        overrides: manualOverrides,
+        merges: configMerges,
+        name: document.getElementById('customPackName').value,
+        version: document.getElementById('customVersionId').value
+    });
+    saveAs(new Blob([JSON.stringify(recipe, null, 2)], { type: 'application/json' }), `${packName}-recipe.json`);
+    log(`Exported merge recipe: ${recipe.packs.length} pack(s), ${recipe.overrides.length} override(s), ${recipe.configChoices.length} config file(s) with choices.`, 'var(--success)');
+}
+
+async function applyRecipe(recipe) {
+    log(`Applying merge recipe for ${recipe.packs.map(p => p.name).join(', ')}...`, 'var(--accent)', true);
+
+    const match = MergeRecipe.matchPacks(recipe, loadedPacks);
+    loadedPacks = match.order;
+    match.missing.forEach(entry => log(`Recipe pack "${entry.name}" is not loaded; its decisions were skipped.`, 'var(--warning)'));
+    match.updated.forEach(({ entry, version }) => log(`Recipe was made for ${[entry.name, entry.version].filter(Boolean).join(' ')}; replaying it on ${version}.`, 'var(--accent)'));
+    match.extra.forEach(pack => log(`"${pack.name}" is not part of the recipe and was placed at the lowest priority.`, 'var(--warning)'));
+
+    if (recipe.output) {
+        if (recipe.output.name) document.getElementById('customPackName').value = recipe.output.name;
+        if (recipe.output.version) document.getElementById('customVersionId').value = recipe.output.version;
+    }
+
+    let { overrides, unmatched } = MergeRecipe.resolveOverrides(recipe, allFiles);
+    overrides.forEach((enabled, key) => manualOverrides.set(key, enabled));
+    configMerges = MergeRecipe.resolveConfigChoices(recipe, loadedPacks);
+    deepAnalysisPerformed = false;
+    await performAnalysis(false);
+
+    const blocked = CompatibilityValidator.checkPackCompatibility(loadedPacks).some(issue => CompatibilityValidator.isBlocking(issue));
+    const needsMetadata = allFiles.some(f => f.category === 'mods' && !f.metadata);
+    if (!blocked && needsMetadata && unmatched.some(entry => entry.modId)) {
+        log('Some recipe overrides identify mods by mod ID; running Deep Analysis to match them.', 'var(--accent)');
+        await performAnalysis(true);
+        if (deepAnalysisPerformed) {
+            overrides.forEach((enabled, key) => manualOverrides.delete(key));
+            ({ overrides, unmatched } = MergeRecipe.resolveOverrides(recipe, allFiles));
+            overrides.forEach((enabled, key) => manualOverrides.set(key, enabled));
+            await performAnalysis(false);
+            refreshDependencyIssues();
+        }
+    }
+
+    if (blocked && recipe.configChoices && recipe.configChoices.length > 0) {
+        log('Config choices will be replayed once the compatibility issues are resolved.', 'var(--warning)');
+    }
+    const unmatchedChoices = blocked ? [] : MergeRecipe.unmatchedConfigChoices(recipe, configMerges);
+    unmatched.forEach(entry => {
+        log(`No file matches recipe override "${entry.modId || entry.fileName}" from ${entry.pack} (${entry.enabled ? 'enable' : 'disable'}).`, 'var(--warning)');
+    });
+    unmatchedChoices.forEach(choice => {
+        log(`Config choice ${choice.path} '${choice.keyPath}' (${choice.pack}) no longer matches a conflict.`, 'var(--warning)');
+    });
+
+    const stale = unmatched.length + unmatchedChoices.length;
+    log(`Recipe applied: ${overrides.size} override(s) replayed${stale ? `, ${stale} decision(s) no longer match` : ''}.`, stale ? 'var(--warning)' : 'var(--success)', true);
+}
+
+let currentSessionId = Math.random().toString(36).substr(2, 9);
+let storedArchives = new Set();
+let sessionSaveTimer = null;
+let sessionRestoring = false;
+
+function scheduleSessionSave() {
+    if (typeof indexedDB === 'undefined') return;
+    clearTimeout(sessionSaveTimer);
+    sessionSaveTimer = setTimeout(saveSession, 1000);
+}
+
+async function saveSession() {
+    if (sessionRestoring || loadedPacks.length === 0 || typeof indexedDB === 'undefined') return;
+
+    const nameInput = document.getElementById('sessionName');
+    const session = {
+        id: currentSessionId,
+        name: (nameInput && nameInput.value) || loadedPacks.map(p => p.name).join(' + '),
+        savedAt: Date.now(),
+        packName: document.getElementById('customPackName').value,
+        versionId: document.getElementById('customVersionId').value,
+        javaVersion: document.getElementById('javaVersion').value,
+        loaderVersion: document.getElementById('loaderVersionOverride').value,
+        packs: loadedPacks.map(p => ({ id: p.id, name: p.name, ver: p.ver, loader: p.loader, loaderVersion: p.loaderVersion })),
+        files: allFiles.map(f => ({ pId: f.pId, path: f.path, enabled: f.enabled })),
+        remoteFiles: allFiles.filter(f => f.addedByFix || f.sourcePath).map(remoteFileState),
+        overrides: [...manualOverrides],
+        configMerges: [...configMerges].map(([path, merge]) => [path, ConfigMerger.snapshot(merge)]),
+        cache: [...metadataExtractor.cache].map(([url, entry]) => ({ url, metadata: entry.metadata })),
+        deepAnalysisPerformed
+    };
+    const archives = loadedPacks
+        .filter(p => p.archive && !storedArchives.has(p.id))
+        .map(p => ({ packId: p.id, fileName: p.archive.name || p.name, blob: p.archive }));
+
+    try {
+        await SessionStore.save(session, archives);
+        archives.forEach(archive => storedArchives.add(archive.packId));
+        await renderSessionList();
+    } catch (err) {
+        log(`Could not save session: ${err.message}`, 'var(--warning)');
+    }
+}
+
+function remoteFileState(f) {
+    return {
+        pId: f.pId,
+        sourcePath: f.sourcePath || null,
+        addedByFix: !!f.addedByFix,
+        path: f.path,
+        fileName: f.fileName,
+        category: f.category,
+        downloads: f.downloads,
+        hashes: f.hashes,
+        fileSize: f.fileSize,
+        side: f.side,
+        _original: f._original
+    };
+}
+
+function restoreRemoteFiles(states) {
+    for (const state of states) {
+        const pack = loadedPacks.find(p => p.id === state.pId);
+        if (!pack) continue;
+        const { sourcePath, ...fields } = state;
+        if (state.addedByFix) {
+            allFiles.push({ ...fields, pName: pack.name, enabled: true, isStandard: false });
+            continue;
+        }
+        const file = allFiles.find(f => f.pId === state.pId && f.path === sourcePath);
+        if (!file) {
+            log(`${sourcePath} is no longer in "${pack.name}", so its update to ${state.fileName} was dropped.`, 'var(--warning)');
+            continue;
+        }
+        Object.assign(file, fields, { sourcePath, isStandard: false });
+        delete file._entry;
+        delete file.curseforge;
+        delete file.metadata;
+    }
+}
+
+async function renderSessionList() {
+    const panel = document.getElementById('session-panel');
+    const list = document.getElementById('session-list');
+    if (!panel || !list || typeof indexedDB === 'undefined') return;
+
+    let sessions = [];
+    try {
+        sessions = await SessionStore.list();
+    } catch (err) {
+        log(`Could not read saved sessions: ${err.message}`, 'var(--warning)');
+    }
+
+    const previous = sessions.filter(s => s.id !== currentSessionId);
+    panel.style.display = sessions.length > 0 ? 'block' : 'none';
+    const resumeBtn = document.getElementById('resumeSessionBtn');
+    if (resumeBtn) resumeBtn.style.display = previous.length > 0 && loadedPacks.length === 0 ? 'inline-block' : 'none';
+
+    const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+    list.innerHTML = sessions.map(s => `
+        <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:5px; padding:5px; background:rgba(255,255,255,0.1); border-radius:4px;">
+            <span><b>${escape(s.name)}</b> <span style="font-size:0.75rem; color:#a6adc8;">${s.packs.length} pack(s) | saved ${new Date(s.savedAt).toLocaleString()}${s.id === currentSessionId ? ' | current' : ''}</span></span>
+            <span>
+                ${s.id === currentSessionId ? '' : `<button class="btn btn-outline btn-sm" onclick="restoreSession('${s.id}')">Resume</button>`}
+                <button class="btn danger" onclick="deleteSession('${s.id}')">X</button>
+            </span>
+        </div>
+    `).join('');
+}
+
+async function resumeLatestSession() {
+    const sessions = await SessionStore.list();
+    const latest = sessions.find(s => s.id !== currentSessionId);
+    if (latest) await restoreSession(latest.id);
+}
+
+async function restoreSession(sessionId) {
+    if (analysisInProgress) return;
+    if (loadedPacks.length > 0 && !confirm('Replace the packs currently loaded with the saved session?')) return;
+
+    const { session, archives } = await SessionStore.load(sessionId);
+    if (!session) {
+        log('Saved session no longer exists.', 'var(--warning)');
+        await renderSessionList();
+        return;
+    }
+
+    sessionRestoring = true;
+    log(`Resuming session "${session.name}"...`, 'var(--accent)', true);
+    try {
+        loadedPacks = [];
+        allFiles = [];
+        configMerges = new Map();
+        clearDependencyIssues();
+        metadataExtractor.cache.clear();
+        session.cache.forEach(entry => metadataExtractor.cache.set(entry.url, { metadata: entry.metadata, data: null }));
+        manualOverrides = new Map(session.overrides || []);
+
+        for (const saved of session.packs) {
+            const archive = archives.find(a => a.packId === saved.id);
+            if (!archive) {
+                log(`Archive for "${saved.name}" is missing from the saved session.`, 'var(--warning)');
+                continue;
+            }
+            await loadPackArchive(archive.blob, archive.fileName, saved.id);
+            const pack = loadedPacks.find(p => p.id === saved.id);
+            if (pack) Object.assign(pack, { ver: saved.ver, loader: saved.loader, loaderVersion: saved.loaderVersion });
+        }
+        restoreRemoteFiles(session.remoteFiles || []);
+
+        currentSessionId = session.id;
+        storedArchives = new Set(loadedPacks.map(p => p.id));
+        document.getElementById('customPackName').value = session.packName || '';
+        document.getElementById('customVersionId').value = session.versionId || '';
+        document.getElementById('javaVersion').value = session.javaVersion || '';
+        document.getElementById('loaderVersionOverride').value = session.loaderVersion || '';
+        const nameInput = document.getElementById('sessionName');
+        if (nameInput) nameInput.value = session.name;
+
+        const compatIssues = CompatibilityValidator.checkPackCompatibility(loadedPacks);
+        displayCompatibilityWarnings(compatIssues);
+        if (!compatIssues.some(issue => CompatibilityValidator.isBlocking(issue))) {
+            conflictResolver.resolveByPriority(allFiles, loadedPacks);
+            applyManualOverrides();
+            if (session.deepAnalysisPerformed) {
+                allFiles = await conflictResolver.analyzeFiles(allFiles, loadedPacks);
+                conflictResolver.resolveByPriority(allFiles, loadedPacks);
+                applyManualOverrides();
+                const depIssues = collectDependencyIssues();
+                if (depIssues.length > 0) displayDependencyIssues(depIssues);
+                deepAnalysisPerformed = true;
+            }
+            configMerges = await ConfigMerger.buildMerges(allFiles, loadedPacks, new Map(session.configMerges), manualOverrides);
+        }
+
+        const enabled = new Map(session.files.map(f => [`${f.pId}:${f.path}`, f.enabled]));
+        allFiles.forEach(f => {
+            const key = `${f.pId}:${f.path}`;
+            if (enabled.has(key)) f.enabled = enabled.get(key);
+        });
+        log(`Resumed session "${session.name}" with ${loadedPacks.length} pack(s).`, 'var(--success)', true);
+    } catch (err) {
+        log(`Could not resume session: ${err.message}`, 'var(--danger)');
+    }
+    sessionRestoring = false;
+    updateUI();
+}
+
+async function deleteSession(sessionId) {
+    if (!confirm('Delete this saved session?')) return;
+    try {
+        await SessionStore.remove(sessionId);
+        if (sessionId === currentSessionId) {
+            currentSessionId = Math.random().toString(36).substr(2, 9);
+            storedArchives = new Set();
+        }
+        log('Deleted saved session.', 'var(--accent)');
+    } catch (err) {
+        log(`Could not delete session: ${err.message}`, 'var(--danger)');
+    }
+    await renderSessionList();
+}
+
+renderSessionList();
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+globalThis.JSZip = require('jszip');
+const {
+    MergeLog, JarMetadataExtractor, ConflictResolver, CompatibilityValidator, DependencyValidator,
+    LoaderVersionResolver, ConfigMerger, CurseForgeResolver, ModrinthClient, MergeRecipe, PackLoader, PackExporter, EXPORT_FORMATS
+} = require('./core.js');
+
+const USAGE = `Usage: modpack-merger merge <pack>... [options]
+
+Merges Modrinth (.mrpack), CurseForge, Prism, packwiz and plain .zip packs.
+Earlier packs win duplicate files unless --priority or --recipe says otherwise.
+
+Options:
+  --priority <a,b,...>  Pack order, highest priority first (pack name or file name)
+  --format <format>     ${Object.keys(EXPORT_FORMATS).join(', ')} (default: mrpack)
+  --deep                Download and inspect every JAR (needed for dependency checks)
+  --recipe <file>       Replay a merge recipe exported from the web app
+  --name <name>         Name of the merged pack (default: recipe output or "Merged Pack")
+  --version <version>   Version of the merged pack (default: recipe output or "1.0.0")
+  --java <version>      Java version to check mods against (default: picked from the Minecraft version)
+  --loader-version <v>  Loader version to export (default: highest required by the packs and mods)
+  -o, --output <file>   Output file (default: <name>-<version><suffix>)
+  -h, --help            Show this help
+
+Set CURSEFORGE_API_KEY to resolve CurseForge packs and MODRINTH_API_URL to use a Modrinth mirror.
+Exit codes: 0 merged cleanly, 1 compatibility or dependency issues remain, 2 usage or runtime error.`;
+
+function parseArgs(argv) {
+    const options = { command: null, inputs: [], priority: null, format: 'mrpack', deep: false, recipe: null, name: null, version: null, java: null, loaderVersion: null, output: null, help: false };
+    const takesValue = { '--priority': 'priority', '--format': 'format', '--recipe': 'recipe', '--name': 'name', '--version': 'version', '--java': 'java', '--loader-version': 'loaderVersion', '--output': 'output', '-o': 'output' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '--deep') {
+            options.deep = true;
+        } else if (takesValue[arg]) {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            options[takesValue[arg]] = argv[++i];
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else if (!options.command) {
+            options.command = arg;
+        } else {
+            options.inputs.push(arg);
+        }
+    }
+
+    if (options.priority !== null) options.priority = options.priority.split(',').map(name => name.trim()).filter(Boolean);
+    return options;
+}
+
+function packMatches(pack, name) {
+    const fileName = path.basename(pack.source);
+    return pack.name === name || fileName === name || fileName.replace(/\.[^.]+$/, '') === name;
+}
+
+function orderByPriority(packs, names) {
+    const ordered = [];
+    for (const name of names) {
+        const pack = packs.find(p => packMatches(p, name));
+        if (!pack) throw new Error(`--priority names "${name}", which is not one of the loaded packs`);
+        if (!ordered.includes(pack)) ordered.push(pack);
+    }
+    return [...ordered, ...packs.filter(p => !ordered.includes(p))];
+}
+
+async function merge(options) {
+    if (options.inputs.length === 0) throw new Error('merge needs at least one pack');
+    if (!EXPORT_FORMATS[options.format]) throw new Error(`Unknown format "${options.format}"`);
+    if (process.env.CURSEFORGE_API_KEY) CurseForgeResolver.configure({ apiKey: process.env.CURSEFORGE_API_KEY });
+    if (process.env.MODRINTH_API_URL) ModrinthClient.configure({ baseUrl: process.env.MODRINTH_API_URL });
+
+    const recipe = options.recipe ? MergeRecipe.validate(JSON.parse(fs.readFileSync(options.recipe, 'utf8'))) : null;
+    const extractor = new JarMetadataExtractor();
+    const resolver = new ConflictResolver(extractor);
+
+    let packs = [];
+    let files = [];
+    for (const [idx, input] of options.inputs.entries()) {
+        const loaded = await PackLoader.load(fs.readFileSync(input), path.basename(input), {
+            pId: `pack${idx}`,
+            resolver,
+            fallback: packs[0],
+            accept: (name) => !packs.some(p => p.name === name)
+        });
+        if (!loaded) {
+            MergeLog.warn(`Skipped ${input}: a pack with the same name is already loaded.`);
+            continue;
+        }
+        loaded.pack.source = input;
+        packs.push(loaded.pack);
+        files.push(...loaded.files);
+    }
+
+    if (recipe) {
+        const match = MergeRecipe.matchPacks(recipe, packs);
+        packs = match.order;
+        match.missing.forEach(entry => MergeLog.warn(`Recipe pack "${entry.name}" is not loaded; its decisions were skipped.`));
+        match.updated.forEach(({ entry, version }) => MergeLog.info(`Recipe was made for ${[entry.name, entry.version].filter(Boolean).join(' ')}; replaying it on ${version}.`));
+    }
+    if (options.priority) packs = orderByPriority(packs, options.priority);
+    MergeLog.info(`Priority: ${packs.map(p => p.name).join(' > ')}`);
+
+    const compatIssues = CompatibilityValidator.checkPackCompatibility(packs);
+    const blocking = compatIssues.filter(issue => CompatibilityValidator.isBlocking(issue));
+    compatIssues.filter(issue => !blocking.includes(issue)).forEach(issue => MergeLog.warn(issue.message));
+    if (blocking.length > 0) {
+        blocking.forEach(issue => MergeLog.error(issue.message));
+        return 1;
+    }
+
+    let overrides = recipe ? MergeRecipe.resolveOverrides(recipe, files) : { overrides: new Map(), unmatched: [] };
+    resolver.resolveByPriority(files, packs);
+    ConflictResolver.applyOverrides(files, overrides.overrides);
+
+    let depIssues = [];
+    let loaderResolution = LoaderVersionResolver.resolve(packs, resolver.enabledRegistry(files), options.loaderVersion);
+    if (options.deep) {
+        files = await resolver.analyzeFiles(files, packs);
+        if (recipe) overrides = MergeRecipe.resolveOverrides(recipe, files);
+        resolver.resolveByPriority(files, packs);
+        ConflictResolver.applyOverrides(files, overrides.overrides);
+        loaderResolution = LoaderVersionResolver.resolve(packs, resolver.enabledRegistry(files), options.loaderVersion);
+        const platform = DependencyValidator.platformFor(packs[0], { java: options.java, loaderVersion: loaderResolution.version });
+        const registry = resolver.enabledRegistry(files);
+        depIssues = [
+            ...DependencyValidator.validate(registry, platform),
+            ...CompatibilityValidator.checkModLoaders(registry, packs[0])
+        ];
+    }
+
+    const configMerges = await ConfigMerger.buildMerges(files, packs, recipe ? MergeRecipe.resolveConfigChoices(recipe, packs) : new Map(), overrides.overrides);
+    if (recipe) {
+        overrides.unmatched.forEach(entry => {
+            MergeLog.warn(`No file matches recipe override "${entry.modId || entry.fileName}" from ${entry.pack} (${entry.enabled ? 'enable' : 'disable'}).`);
+        });
+        MergeRecipe.unmatchedConfigChoices(recipe, configMerges).forEach(choice => {
+            MergeLog.warn(`Config choice ${choice.path} '${choice.keyPath}' (${choice.pack}) no longer matches a conflict.`);
+        });
+    }
+    depIssues.filter(issue => issue.severity === 'warning').forEach(issue => MergeLog.warn(issue.message));
+    depIssues = depIssues.filter(issue => issue.severity !== 'warning');
+    depIssues.forEach(issue => MergeLog.error(issue.message));
+
+    const output = recipe && recipe.output ? recipe.output : {};
+    const name = options.name || output.name || 'Merged Pack';
+    const version = options.version || output.version || '1.0.0';
+    if (loaderResolution.unsatisfied.length > 0) MergeLog.error(LoaderVersionResolver.describe(loaderResolution));
+    else if (loaderResolution.unconfirmed) MergeLog.error(`Loader: ${LoaderVersionResolver.describe(loaderResolution)}; pass --loader-version to confirm it.`);
+    else MergeLog.info(`Loader: ${LoaderVersionResolver.describe(loaderResolution)}`);
+    const outFiles = await PackExporter.build(options.format, {
+        packs, files, configMerges, extractor, name, version, loaderVersion: loaderResolution.version
+    });
+
+    const zip = new JSZip();
+    outFiles.forEach(f => zip.file(f.path, f.data));
+    const outPath = options.output || `${name}-${version}${EXPORT_FORMATS[options.format].suffix}`;
+    fs.writeFileSync(outPath, await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }));
+    MergeLog.success(`Wrote ${outPath} (${outFiles.length} file(s), ${files.filter(f => f.enabled).length} enabled source file(s))`);
+
+    return depIssues.length > 0 || loaderResolution.unsatisfied.length > 0 || loaderResolution.unconfirmed ? 1 : 0;
+}
+
+async function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (err) {
+        console.error(`${err.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help || !options.command) {
+        console.log(USAGE);
+        return options.help ? 0 : 2;
+    }
+    if (options.command !== 'merge') {
+        console.error(`Unknown command "${options.command}"\n\n${USAGE}`);
+        return 2;
+    }
+
+    MergeLog.setHandler((level, message) => console.error(`[${level}] ${message}`));
+    try {
+        return await merge(options);
+    } catch (err) {
+        console.error(`[error] ${err.message}`);
+        return 2;
+    }
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
@@ -0,0 +1,4369 @@
+class MergeLog {
+    static handler = null;
+
+    static setHandler(handler) {
+        this.handler = handler;
+    }
+
+    static emit(level, message) {
+        if (this.handler) this.handler(level, message);
+    }
+
+    static info(message) {
+        this.emit('info', message);
+    }
+
+    static success(message) {
+        this.emit('success', message);
+    }
+
+    static warn(message) {
+        this.emit('warning', message);
+    }
+
+    static error(message) {
+        this.emit('error', message);
+    }
+}
+
+class VersionComparator {
+    static INCOMPARABLE = NaN;
+
+    static QUALIFIER_RANKS = {
+        alpha: 1, a: 1,
+        beta: 2, b: 2,
+        milestone: 3, m: 3,
+        pre: 4, rc: 4, cr: 4,
+        snapshot: 5,
+        '': 6, final: 6, ga: 6, release: 6,
+        sp: 7
+    };
+
+    static NUMERIC_QUALIFIER_RANK = 8;
+
+    static parse(versionString) {
+        const raw = versionString == null ? '' : String(versionString).trim();
+        const result = { raw, mcVersion: null, release: [], qualifier: [], build: null, comparable: false, major: 0, minor: 0, patch: 0 };
+
+        let main = raw;
+        const plus = main.indexOf('+');
+        if (plus !== -1) {
+            result.build = main.slice(plus + 1);
+            main = main.slice(0, plus);
+        }
+
+        main = main.replace(/^v(?=\d)/i, '');
+
+        const mcPrefix = main.match(/^mc(\d+(?:\.\d+)*)[-_]/i);
+        if (mcPrefix) {
+            result.mcVersion = mcPrefix[1];
+            main = main.slice(mcPrefix[0].length);
+        } else {
+            const mcLeading = main.match(/^(1\.\d{1,2}(?:\.\d{1,2})?)[-_](?:(?:fabric|forge|neoforge|quilt)[-_])?(?=\d+\.\d+)/i);
+            if (mcLeading) {
+                result.mcVersion = mcLeading[1];
+                main = main.slice(mcLeading[0].length);
+            }
+        }
+
+        const releaseMatch = main.match(/^\d+(?:\.\d+)*/);
+        if (!releaseMatch) return result;
+
+        result.release = releaseMatch[0].split('.').map(p => parseInt(p, 10));
+        result.qualifier = this.tokenizeQualifier(main.slice(releaseMatch[0].length));
+        result.comparable = true;
+        [result.major = 0, result.minor = 0, result.patch = 0] = result.release;
+        return result;
+    }
+
+    static tokenizeQualifier(qualifier) {
+        const tokens = [];
+        const parts = qualifier.toLowerCase().match(/[a-z]+|\d+/g) || [];
+        for (const part of parts) {
+            tokens.push(/^\d+$/.test(part) ? parseInt(part, 10) : part);
+        }
+        return tokens;
+    }
+
+    static qualifierTier(tokens) {
+        if (tokens.length === 0) return this.QUALIFIER_RANKS[''];
+        const first = tokens[0];
+        if (typeof first === 'number') return this.NUMERIC_QUALIFIER_RANK;
+        if (first in this.QUALIFIER_RANKS) return this.QUALIFIER_RANKS[first];
+        return 0;
+    }
+
+    static compareQualifiers(q1, q2) {
+        const t1 = this.qualifierTier(q1);
+        const t2 = this.qualifierTier(q2);
+        if (t1 !== t2) return Math.sign(t1 - t2);
+
+        const len = Math.max(q1.length, q2.length);
+        for (let i = 0; i < len; i++) {
+            const a = q1[i];
+            const b = q2[i];
+            if (a === undefined) return -1;
+            if (b === undefined) return 1;
+            if (a === b) continue;
+
+            const aNum = typeof a === 'number';
+            const bNum = typeof b === 'number';
+            if (aNum && bNum) return Math.sign(a - b);
+            if (aNum) return -1;
+            if (bNum) return 1;
+
+            const ra = this.QUALIFIER_RANKS[a];
+            const rb = this.QUALIFIER_RANKS[b];
+            if (ra !== undefined && rb !== undefined && ra !== rb) return Math.sign(ra - rb);
+            return a < b ? -1 : 1;
+        }
+        return 0;
+    }
+
+    static compare(v1, v2) {
+        const p1 = this.parse(v1);
+        const p2 = this.parse(v2);
+        if (!p1.comparable || !p2.comparable) return this.INCOMPARABLE;
+
+        const len = Math.max(p1.release.length, p2.release.length);
+        for (let i = 0; i < len; i++) {
+            const diff = (p1.release[i] || 0) - (p2.release[i] || 0);
+            if (diff !== 0) return Math.sign(diff);
+        }
+
+        const qualifierCmp = this.compareQualifiers(p1.qualifier, p2.qualifier);
+        if (qualifierCmp !== 0) return qualifierCmp;
+
+        if (p1.mcVersion && p2.mcVersion && p1.mcVersion !== p2.mcVersion) {
+            return this.compare(p1.mcVersion, p2.mcVersion);
+        }
+        return 0;
+    }
+
+    static isIncomparable(result) {
+        return Number.isNaN(result);
+    }
+
+    static isNewer(v1, v2) {
+        return this.compare(v1, v2) > 0;
+    }
+
+    static satisfies(version, range) {
+        if (Array.isArray(range)) {
+            return range.length === 0 || range.some(alternative => this.satisfies(version, alternative));
+        }
+        if (range == null) return true;
+
+        range = String(range).trim();
+        if (!range || range === '*' || range === 'any') return true;
+
+        if (range.includes('||')) {
+            return range.split('||').some(alternative => this.satisfies(version, alternative));
+        }
+
+        if (range.startsWith('[') || range.startsWith('(')) {
+            return this.satisfiesMavenRange(version, range);
+        }
+
+        const predicates = range.replace(/(>=|<=|>|<|=|\^|~)\s+/g, '$1').split(/\s+/);
+        return predicates.every(predicate => this.satisfiesPredicate(version, predicate));
+    }
+
+    static satisfiesPredicate(version, predicate) {
+        const [, op = '=', target] = predicate.match(/^(>=|<=|>|<|=|\^|~)?(.*)$/);
+        if (!target || target === '*') return true;
+
+        const core = target.split(/[-+]/)[0].split('.');
+        const wildcardAt = core.findIndex(part => /^[xX*]$/.test(part));
+        if (wildcardAt !== -1) {
+            if (op.startsWith('<') || op.startsWith('>')) return false;
+            if (op === '=') {
+                const parsed = this.parse(version);
+                if (!parsed.comparable) return false;
+                return core.slice(0, wildcardAt).every((part, i) => (parsed.release[i] || 0) === parseInt(part, 10));
+            }
+            return this.satisfiesPredicate(version, op + core.map(part => /^[xX*]$/.test(part) ? '0' : part).join('.'));
+        }
+
+        const cmp = this.compare(version, target);
+        if (this.isIncomparable(cmp)) return false;
+
+        switch (op) {
+            case '>=': return cmp >= 0;
+            case '>': return cmp > 0;
+            case '<=': return cmp <= 0;
+            case '<': return cmp < 0;
+            case '^': {
+                return cmp >= 0 && this.parse(version).major === this.parse(target).major;
+            }
+            case '~': {
+                const p = this.parse(version);
+                const t = this.parse(target);
+                return cmp >= 0 && p.major === t.major && p.minor === t.minor;
+            }
+            default: return cmp === 0;
+        }
+    }
+
+    static invalidPredicates(range) {
+        const alternatives = Array.isArray(range) ? range : [range];
+        return alternatives
+            .flatMap(alternative => String(alternative == null ? '' : alternative).split('||'))
+            .map(alternative => alternative.trim())
+            .filter(alternative => !alternative.startsWith('[') && !alternative.startsWith('('))
+            .flatMap(alternative => alternative.replace(/(>=|<=|>|<|=|\^|~)\s+/g, '$1').split(/\s+/))
+            .filter(predicate => /^[<>]=?(?:[^\s.]*\.)*[xX*](?:$|[.+-])/.test(predicate));
+    }
+
+    static satisfiesMavenRange(version, range) {
+        const intervals = range.match(/[\[(][^\])]*[\])]/g) || [];
+        return intervals.some(interval => {
+            const inner = interval.slice(1, -1);
+            if (!inner.includes(',')) return this.compare(version, inner.trim()) === 0;
+
+            const [min, max] = inner.split(',').map(p => p.trim());
+
+            let minOk = true;
+            if (min) {
+                const cmp = this.compare(version, min);
+                minOk = interval.startsWith('[') ? cmp >= 0 : cmp > 0;
+            }
+
+            let maxOk = true;
+            if (max) {
+                const cmp = this.compare(version, max);
+                maxOk = interval.endsWith(']') ? cmp <= 0 : cmp < 0;
+            }
+
+            return minOk && maxOk;
+        });
+    }
+
+    static describeRange(range) {
+        return Array.isArray(range) ? range.join(' || ') : String(range);
+    }
+}
+
+class TomlParser {
+    constructor(text) {
+        this.text = text;
+        this.pos = 0;
+        this.values = new Map();
+        this.parents = new Map();
+    }
+
+    static parse(text) {
+        return new TomlParser(String(text).replace(/^\uFEFF/, '')).parseDocument();
+    }
+
+    static layout(text) {
+        const parser = new TomlParser(String(text));
+        if (parser.text.startsWith('\uFEFF')) parser.pos = 1;
+        parser.parseDocument();
+        return parser;
+    }
+
+    static patchValue(layout, span, value) {
+        const original = layout.text.slice(span.start, span.end);
+        if (typeof value === 'string' && /^'[^'\n]*'$/.test(original) && !/['\r\n]/.test(value)) return `'${value}'`;
+        return this.formatValue(value);
+    }
+
+    static patchEntry(layout, parent, keys, value, eol) {
+        const isTable = v => v && typeof v === 'object' && !Array.isArray(v);
+        if (isTable(value) || (Array.isArray(value) && value.length > 0 && value.every(isTable))) {
+            if (!parent.header) return null;
+            const table = [...parent.header, ...keys].reduceRight((inner, key) => ({ [key]: inner }), value);
+            const lead = /\n$/.test(layout.text) ? eol : eol + eol;
+            return { start: layout.text.length, end: layout.text.length, text: lead + this.stringify(table).replace(/\n/g, eol) };
+        }
+
+        const line = `${keys.map(key => this.formatKey(key)).join('.')} = ${this.formatValue(value)}`;
+        const before = layout.text.slice(0, parent.end);
+        let text = eol + line;
+        if (parent.leading) text = (before && !/\n$/.test(before) ? eol : '') + line + eol + (parent.end < layout.text.length ? eol : '');
+        return { start: parent.end, end: parent.end, text };
+    }
+
+    parseDocument() {
+        const root = {};
+        let table = root;
+        let path = [];
+        let header = [];
+        this.skipWhitespace(true);
+        this.parents.set(JSON.stringify(path), { end: this.pos, leading: true, header });
+
+        while (true) {
+            this.skipWhitespace(true);
+            if (this.pos >= this.text.length) break;
+
+            if (this.peek() === '[') {
+                const isArray = this.text.startsWith('[[', this.pos);
+                this.pos += isArray ? 2 : 1;
+                this.skipWhitespace();
+                const keys = this.parseKey();
+                this.skipWhitespace();
+                this.expect(isArray ? ']]' : ']');
+                table = isArray ? this.openArrayTable(root, keys) : this.openTable(root, keys);
+                path = this.tablePath(root, keys);
+                header = path.length === keys.length ? keys : null;
+            } else {
+                const keys = this.parseKey();
+                this.skipWhitespace();
+                this.expect('=');
+                this.skipWhitespace();
+                const start = this.pos;
+                this.assign(table, keys, this.parseValue());
+                this.values.set(JSON.stringify([...path, ...keys]), { start, end: this.pos });
+            }
+
+            this.skipWhitespace();
+            this.parents.set(JSON.stringify(path), { end: this.pos, leading: false, header });
+            if (this.pos < this.text.length && !this.atNewline()) {
+                this.fail(`Unexpected character '${this.peek()}'`);
+            }
+        }
+        return root;
+    }
+
+    peek(offset = 0) {
+        return this.text[this.pos + offset];
+    }
+
+    atNewline() {
+        return this.peek() === '\n' || (this.peek() === '\r' && this.peek(1) === '\n');
+    }
+
+    fail(message) {
+        const line = this.text.slice(0, this.pos).split('\n').length;
+        throw new Error(`TOML parse error on line ${line}: ${message}`);
+    }
+
+    expect(token) {
+        if (!this.text.startsWith(token, this.pos)) this.fail(`Expected '${token}'`);
+        this.pos += token.length;
+    }
+
+    skipWhitespace(includeNewlines = false) {
+        while (this.pos < this.text.length) {
+            const ch = this.peek();
+            if (ch === ' ' || ch === '\t') {
+                this.pos++;
+            } else if (ch === '#') {
+                while (this.pos < this.text.length && this.peek() !== '\n') this.pos++;
+            } else if (includeNewlines && (ch === '\n' || ch === '\r')) {
+                this.pos++;
+            } else {
+                break;
+            }
+        }
+    }
+
+    parseKey() {
+        const keys = [];
+        while (true) {
+            const ch = this.peek();
+            if (ch === '"') {
+                this.pos++;
+                keys.push(this.parseBasicString());
+            } else if (ch === "'") {
+                this.pos++;
+                keys.push(this.parseLiteralString());
+            } else {
+                const match = this.text.slice(this.pos).match(/^[A-Za-z0-9_-]+/);
+                if (!match) this.fail('Expected a key');
+                keys.push(match[0]);
+                this.pos += match[0].length;
+            }
+            this.skipWhitespace();
+            if (this.peek() !== '.') break;
+            this.pos++;
+            this.skipWhitespace();
+        }
+        return keys;
+    }
+
+    descend(table, key) {
+        if (!(key in table)) table[key] = {};
+        let next = table[key];
+        if (Array.isArray(next)) next = next[next.length - 1];
+        if (typeof next !== 'object' || next === null) this.fail(`Key '${key}' is not a table`);
+        return next;
+    }
+
+    tablePath(root, keys) {
+        const path = [];
+        let node = root;
+        for (const key of keys) {
+            node = node[key];
+            path.push(key);
+            if (Array.isArray(node)) {
+                path.push(String(node.length - 1));
+                node = node[node.length - 1];
+            }
+        }
+        return path;
+    }
+
+    openTable(root, keys) {
+        return keys.reduce((table, key) => this.descend(table, key), root);
+    }
+
+    openArrayTable(root, keys) {
+        const parent = keys.slice(0, -1).reduce((table, key) => this.descend(table, key), root);
+        const last = keys[keys.length - 1];
+        if (!(last in parent)) parent[last] = [];
+        if (!Array.isArray(parent[last])) this.fail(`Key '${last}' is not an array of tables`);
+        const table = {};
+        parent[last].push(table);
+        return table;
+    }
+
+    assign(table, keys, value) {
+        const parent = keys.slice(0, -1).reduce((t, key) => this.descend(t, key), table);
+        parent[keys[keys.length - 1]] = value;
+    }
+
+    parseValue() {
+        const rest = this.text.slice(this.pos, this.pos + 64);
+
+        if (rest.startsWith('"""')) {
+            this.pos += 3;
+            return this.parseBasicString(true);
+        }
+        if (rest.startsWith("'''")) {
+            this.pos += 3;
+            return this.parseLiteralString(true);
+        }
+        if (rest[0] === '"') {
+            this.pos++;
+            return this.parseBasicString();
+        }
+        if (rest[0] === "'") {
+            this.pos++;
+            return this.parseLiteralString();
+        }
+        if (rest[0] === '[') return this.parseArray();
+        if (rest[0] === '{') return this.parseInlineTable();
+        if (/^true(?![A-Za-z0-9_-])/.test(rest)) {
+            this.pos += 4;
+            return true;
+        }
+        if (/^false(?![A-Za-z0-9_-])/.test(rest)) {
+            this.pos += 5;
+            return false;
+        }
+
+        const dateMatch = rest.match(/^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})?)?|^\d{2}:\d{2}:\d{2}(?:\.\d+)?/i);
+        if (dateMatch) {
+            this.pos += dateMatch[0].length;
+            return dateMatch[0];
+        }
+
+        const numberMatch = rest.match(/^[+-]?(?:inf|nan)|^0x[0-9A-Fa-f_]+|^0o[0-7_]+|^0b[01_]+|^[+-]?\d[\d_]*(?:\.[\d_]+)?(?:[eE][+-]?[\d_]+)?/);
+        if (numberMatch) {
+            this.pos += numberMatch[0].length;
+            const token = numberMatch[0].replace(/_/g, '');
+            if (/inf$/.test(token)) return token.startsWith('-') ? -Infinity : Infinity;
+            if (/nan$/.test(token)) return NaN;
+            if (/^0[xob]/.test(token)) return parseInt(token.slice(2), { x: 16, o: 8, b: 2 }[token[1]]);
+            return Number(token);
+        }
+
+        this.fail('Invalid value');
+    }
+
+    parseBasicString(multiline = false) {
+        let out = '';
+        if (multiline && this.atNewline()) this.pos += this.peek() === '\r' ? 2 : 1;
+
+        while (true) {
+            if (this.pos >= this.text.length) this.fail('Unterminated string');
+            const ch = this.peek();
+
+            if (multiline && this.text.startsWith('"""', this.pos)) {
+                let quotes = 3;
+                while (quotes < 5 && this.peek(quotes) === '"') quotes++;
+                out += '"'.repeat(quotes - 3);
+                this.pos += quotes;
+                return out;
+            }
+            if (!multiline && ch === '"') {
+                this.pos++;
+                return out;
+            }
+            if (!multiline && (ch === '\n' || ch === '\r')) this.fail('Newline in single-line string');
+
+            if (ch === '\\') {
+                const next = this.peek(1);
+                const simple = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' };
+                if (next in simple) {
+                    out += simple[next];
+                    this.pos += 2;
+                } else if (next === 'u' || next === 'U') {
+                    const len = next === 'u' ? 4 : 8;
+                    const hex = this.text.slice(this.pos + 2, this.pos + 2 + len);
+                    if (!/^[0-9A-Fa-f]+$/.test(hex) || hex.length !== len) this.fail('Invalid unicode escape');
+                    out += String.fromCodePoint(parseInt(hex, 16));
+                    this.pos += 2 + len;
+                } else if (multiline && /[ \t\r\n]/.test(next)) {
+                    this.pos++;
+                    while (/[ \t\r\n]/.test(this.peek() || '')) this.pos++;
+                } else {
+                    this.fail(`Invalid escape '\\${next}'`);
+                }
+                continue;
+            }
+
+            out += ch;
+            this.pos++;
+        }
+    }
+
+    parseLiteralString(multiline = false) {
+        const terminator = multiline ? "'''" : "'";
+        if (multiline && this.atNewline()) this.pos += this.peek() === '\r' ? 2 : 1;
+
+        const end = this.text.indexOf(terminator, this.pos);
+        if (end === -1) this.fail('Unterminated string');
+
+        let stop = end;
+        if (multiline) {
+            while (stop - end < 2 && this.text[stop + 3] === "'") stop++;
+        }
+        const out = this.text.slice(this.pos, stop);
+        if (!multiline && /[\r\n]/.test(out)) this.fail('Newline in single-line string');
+        this.pos = stop + terminator.length;
+        return out;
+    }
+
+    parseArray() {
+        const items = [];
+        this.pos++;
+        while (true) {
+            this.skipWhitespace(true);
+            if (this.peek() === ']') {
+                this.pos++;
+                return items;
+            }
+            items.push(this.parseValue());
+            this.skipWhitespace(true);
+            if (this.peek() === ',') {
+                this.pos++;
+            } else if (this.peek() !== ']') {
+                this.fail('Expected \',\' or \']\' in array');
+            }
+        }
+    }
+
+    parseInlineTable() {
+        const table = {};
+        this.pos++;
+        this.skipWhitespace();
+        if (this.peek() === '}') {
+            this.pos++;
+            return table;
+        }
+        while (true) {
+            this.skipWhitespace();
+            const keys = this.parseKey();
+            this.skipWhitespace();
+            this.expect('=');
+            this.skipWhitespace();
+            this.assign(table, keys, this.parseValue());
+            this.skipWhitespace();
+            if (this.peek() === ',') {
+                this.pos++;
+            } else if (this.peek() === '}') {
+                this.pos++;
+                return table;
+            } else {
+                this.fail('Expected \',\' or \'}\' in inline table');
+            }
+        }
+    }
+
+    static stringify(data) {
+        const lines = [];
+        this.writeTable(lines, data, []);
+        return lines.join('\n').replace(/^\n+/, '') + '\n';
+    }
+
+    static writeTable(lines, table, path) {
+        const isTable = v => v && typeof v === 'object' && !Array.isArray(v);
+        const isTableArray = v => Array.isArray(v) && v.length > 0 && v.every(isTable);
+
+        for (const [key, value] of Object.entries(table)) {
+            if (value === undefined || value === null || isTable(value) || isTableArray(value)) continue;
+            lines.push(`${this.formatKey(key)} = ${this.formatValue(value)}`);
+        }
+
+        for (const [key, value] of Object.entries(table)) {
+            const childPath = [...path, key];
+            const header = childPath.map(k => this.formatKey(k)).join('.');
+            if (isTable(value)) {
+                const hasScalars = Object.values(value).some(v => v !== undefined && v !== null && !isTable(v) && !isTableArray(v));
+                if (hasScalars || Object.keys(value).length === 0) lines.push('', `[${header}]`);
+                this.writeTable(lines, value, childPath);
+            } else if (isTableArray(value)) {
+                for (const item of value) {
+                    lines.push('', `[[${header}]]`);
+                    this.writeTable(lines, item, childPath);
+                }
+            }
+        }
+    }
+
+    static formatKey(key) {
+        return /^[A-Za-z0-9_-]+$/.test(key) ? key : this.formatValue(String(key));
+    }
+
+    static formatValue(value) {
+        if (typeof value === 'string') {
+            return '"' + value.replace(/[\\"\u0000-\u001f\u007f]/g, ch => {
+                const escapes = { '\\': '\\\\', '"': '\\"', '\b': '\\b', '\t': '\\t', '\n': '\\n', '\f': '\\f', '\r': '\\r' };
+                return escapes[ch] || `\\u${ch.charCodeAt(0).toString(16).padStart(4, '0')}`;
+            }) + '"';
+        }
+        if (typeof value === 'number') {
+            if (Number.isNaN(value)) return 'nan';
+            if (!Number.isFinite(value)) return value > 0 ? 'inf' : '-inf';
+            return String(value);
+        }
+        if (typeof value === 'boolean') return String(value);
+        if (Array.isArray(value)) return `[${value.map(v => this.formatValue(v)).join(', ')}]`;
+        if (value && typeof value === 'object') {
+            return `{ ${Object.entries(value).map(([k, v]) => `${this.formatKey(k)} = ${this.formatValue(v)}`).join(', ')} }`;
+        }
+        return '""';
+    }
+}
+
+class Json5Parser {
+    constructor(text) {
+        this.text = text;
+        this.pos = 0;
+        this.values = new Map();
+        this.parents = new Map();
+    }
+
+    static parse(text) {
+        return this.read(String(text).replace(/^\uFEFF/, '')).value;
+    }
+
+    static layout(text) {
+        return this.read(String(text)).parser;
+    }
+
+    static read(text) {
+        const parser = new Json5Parser(text);
+        parser.skipWhitespace();
+        const value = parser.parseValue([]);
+        parser.skipWhitespace();
+        if (parser.pos < parser.text.length) parser.fail('Unexpected trailing content');
+        return { value, parser };
+    }
+
+    static patchValue(layout, span, value, eol) {
+        const indentMatch = layout.text.match(/\n([ \t]+)\S/);
+        return JSON.stringify(value, null, indentMatch ? indentMatch[1] : 2).split('\n').join(eol + span.indent);
+    }
+
+    static patchEntry(layout, parent, keys, value, eol) {
+        if (keys.length !== 1) return null;
+        const text = parent.inline
+            ? `, ${JSON.stringify(keys[0])}: ${JSON.stringify(value)}`
+            : `,${eol}${parent.indent}${JSON.stringify(keys[0])}: ${this.patchValue(layout, parent, value, eol)}`;
+        return { start: parent.end, end: parent.end, text };
+    }
+
+    indentAt(pos) {
+        const lineStart = this.text.lastIndexOf('\n', pos - 1) + 1;
+        return this.text.slice(lineStart, pos).match(/^[ \t]*/)[0];
+    }
+
+    fail(message) {
+        const line = this.text.slice(0, this.pos).split('\n').length;
+        throw new Error(`JSON5 parse error on line ${line}: ${message}`);
+    }
+
+    skipWhitespace() {
+        while (this.pos < this.text.length) {
+            const ch = this.text[this.pos];
+            if (/\s/.test(ch)) {
+                this.pos++;
+            } else if (this.text.startsWith('//', this.pos)) {
+                while (this.pos < this.text.length && this.text[this.pos] !== '\n') this.pos++;
+            } else if (this.text.startsWith('/*', this.pos)) {
+                const end = this.text.indexOf('*/', this.pos + 2);
+                if (end === -1) this.fail('Unterminated comment');
+                this.pos = end + 2;
+            } else {
+                break;
+            }
+        }
+    }
+
+    parseValue(path = null) {
+        const ch = this.text[this.pos];
+        if (ch === '{') return this.parseObject(path);
+        if (ch === '[') return this.parseArray();
+        if (ch === '"' || ch === "'") return this.parseString();
+
+        const rest = this.text.slice(this.pos, this.pos + 64);
+        const literal = rest.match(/^(true|false|null)(?![A-Za-z0-9_$])/);
+        if (literal) {
+            this.pos += literal[1].length;
+            return { true: true, false: false, null: null }[literal[1]];
+        }
+
+        const number = rest.match(/^[+-]?(?:Infinity|NaN|0[xX][0-9A-Fa-f]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/);
+        if (number) {
+            this.pos += number[0].length;
+            const token = number[0];
+            const sign = token.startsWith('-') ? -1 : 1;
+            const unsigned = token.replace(/^[+-]/, '');
+            if (unsigned === 'Infinity') return sign * Infinity;
+            if (unsigned === 'NaN') return NaN;
+            if (/^0x/i.test(unsigned)) return sign * parseInt(unsigned, 16);
+            return sign * Number(unsigned);
+        }
+
+        this.fail(`Unexpected character '${ch}'`);
+    }
+
+    parseString() {
+        const quote = this.text[this.pos++];
+        let out = '';
+        while (true) {
+            if (this.pos >= this.text.length) this.fail('Unterminated string');
+            const ch = this.text[this.pos++];
+            if (ch === quote) return out;
+            if (ch === '\n') this.fail('Newline in string');
+            if (ch !== '\\') {
+                out += ch;
+                continue;
+            }
+
+            const next = this.text[this.pos++];
+            const simple = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', 0: '\0', '"': '"', "'": "'", '\\': '\\', '/': '/' };
+            if (next in simple) {
+                out += simple[next];
+            } else if (next === 'u') {
+                out += String.fromCharCode(parseInt(this.text.slice(this.pos, this.pos + 4), 16));
+                this.pos += 4;
+            } else if (next === 'x') {
+                out += String.fromCharCode(parseInt(this.text.slice(this.pos, this.pos + 2), 16));
+                this.pos += 2;
+            } else if (next === '\r') {
+                if (this.text[this.pos] === '\n') this.pos++;
+            } else if (next !== '\n') {
+                out += next;
+            }
+        }
+    }
+
+    parseArray() {
+        const items = [];
+        this.pos++;
+        while (true) {
+            this.skipWhitespace();
+            if (this.text[this.pos] === ']') {
+                this.pos++;
+                return items;
+            }
+            items.push(this.parseValue());
+            this.skipWhitespace();
+            if (this.text[this.pos] === ',') this.pos++;
+            else if (this.text[this.pos] !== ']') this.fail('Expected \',\' or \']\'');
+        }
+    }
+
+    parseObject(path = null) {
+        const obj = {};
+        const open = this.pos++;
+        let last = null;
+        while (true) {
+            this.skipWhitespace();
+            if (this.text[this.pos] === '}') {
+                if (path && last) this.parents.set(JSON.stringify(path), { ...last, inline: !this.text.slice(open, last.end).includes('\n') });
+                this.pos++;
+                return obj;
+            }
+
+            const keyStart = this.pos;
+            let key;
+            if (this.text[this.pos] === '"' || this.text[this.pos] === "'") {
+                key = this.parseString();
+            } else {
+                const match = this.text.slice(this.pos).match(/^[A-Za-z_$][A-Za-z0-9_$]*/);
+                if (!match) this.fail('Expected a key');
+                key = match[0];
+                this.pos += key.length;
+            }
+
+            this.skipWhitespace();
+            if (this.text[this.pos] !== ':') this.fail('Expected \':\'');
+            this.pos++;
+            this.skipWhitespace();
+            const start = this.pos;
+            obj[key] = this.parseValue(path && [...path, key]);
+            if (path) {
+                last = { end: this.pos, indent: this.indentAt(keyStart) };
+                this.values.set(JSON.stringify([...path, key]), { start, end: this.pos, indent: last.indent, container: this.text[start] === '{' });
+            }
+            this.skipWhitespace();
+            if (this.text[this.pos] === ',') this.pos++;
+            else if (this.text[this.pos] !== '}') this.fail('Expected \',\' or \'}\'');
+        }
+    }
+}
+
+class YamlParser {
+    constructor(text) {
+        this.lines = [];
+        this.values = new Map();
+        this.parents = new Map();
+        const source = String(text);
+        const body = source.replace(/^\uFEFF/, '');
+        let offset = source.length - body.length;
+        for (const part of body.split('\n')) {
+            const start = offset;
+            offset += part.length + 1;
+            const raw = part.replace(/\r$/, '');
+            if (/^(---|\.\.\.)\s*$/.test(raw)) {
+                if (this.lines.length > 0) throw new Error('YAML parse error: multiple documents are not supported');
+                continue;
+            }
+            if (/^\s*%/.test(raw)) continue;
+            if (/\t/.test(raw.match(/^\s*/)[0])) throw new Error('YAML parse error: tabs are not allowed for indentation');
+            this.lines.push({ indent: raw.match(/^ */)[0].length, text: raw.trim() ? YamlParser.stripComment(raw.trim()) : '', raw, start });
+        }
+        this.pos = 0;
+    }
+
+    static parse(text) {
+        return this.layout(text).value;
+    }
+
+    static layout(text) {
+        const parser = new YamlParser(text);
+        parser.skipBlank();
+        if (parser.pos >= parser.lines.length) {
+            parser.value = {};
+            return parser;
+        }
+        parser.value = parser.parseBlock(parser.lines[parser.pos].indent, []);
+        parser.skipBlank();
+        if (parser.pos < parser.lines.length) parser.fail('Unexpected indentation');
+        return parser;
+    }
+
+    static patchValue(layout, span, value, eol) {
+        const collection = value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+        if (span.block && collection) {
+            const lines = [];
+            this.writeNode(lines, value, span.childIndent);
+            return eol + lines.join(eol);
+        }
+        const text = collection ? JSON.stringify(value) : this.formatScalar(value);
+        return span.block ? ` ${text}` : text;
+    }
+
+    static patchEntry(layout, parent, keys, value, eol) {
+        if (keys.length !== 1) return null;
+        const lines = [];
+        this.writeNode(lines, { [keys[0]]: value }, parent.indent);
+        return { start: parent.end, end: parent.end, text: eol + lines.join(eol) };
+    }
+
+    lineEnd(index) {
+        return this.lines[index].start + this.lines[index].raw.length;
+    }
+
+    lastContentLine(from, to, blank = line => line.text === '') {
+        let index = to;
+        while (index > from && blank(this.lines[index])) index--;
+        return index;
+    }
+
+    static stripComment(text) {
+        let quote = null;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quote) {
+                if (ch === quote) quote = null;
+            } else if (ch === '"' || ch === "'") {
+                quote = ch;
+            } else if (ch === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+                return text.slice(0, i).trimEnd();
+            }
+        }
+        return text;
+    }
+
+    fail(message) {
+        throw new Error(`YAML parse error on line ${this.pos + 1}: ${message}`);
+    }
+
+    skipBlank() {
+        while (this.pos < this.lines.length && this.lines[this.pos].text === '') this.pos++;
+    }
+
+    parseBlock(indent, path = null) {
+        this.skipBlank();
+        const line = this.lines[this.pos];
+        if (line.text === '-' || line.text.startsWith('- ')) return this.parseSequence(indent);
+        return this.parseMapping(indent, path);
+    }
+
+    parseSequence(indent) {
+        const items = [];
+        while (true) {
+            this.skipBlank();
+            const line = this.lines[this.pos];
+            if (!line || line.indent !== indent || !(line.text === '-' || line.text.startsWith('- '))) break;
+
+            const rest = line.text.slice(1).trim();
+            if (rest === '') {
+                this.pos++;
+                this.skipBlank();
+                const next = this.lines[this.pos];
+                items.push(next && next.indent > indent ? this.parseBlock(next.indent) : null);
+            } else if (this.isMappingEntry(rest)) {
+                const itemIndent = indent + line.text.indexOf(rest);
+                this.lines[this.pos] = { ...line, indent: itemIndent, text: rest };
+                items.push(this.parseMapping(itemIndent));
+            } else {
+                this.pos++;
+                items.push(this.parseInline(rest, indent));
+            }
+        }
+        return items;
+    }
+
+    isMappingEntry(text) {
+        return /^(?:"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'\[\]{},#&*!|>%@`-][^:#]*?|-[^\s:#][^:#]*?)\s*:(?:\s|$)/.test(text);
+    }
+
+    parseMapping(indent, path = null) {
+        const obj = {};
+        let end = null;
+        while (true) {
+            this.skipBlank();
+            const line = this.lines[this.pos];
+            if (!line || line.indent !== indent) break;
+            if (line.text === '-' || line.text.startsWith('- ')) break;
+
+            const match = line.text.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^:]+?)\s*:(?:\s+(.*))?$/);
+            if (!match) this.fail(`Expected 'key: value' but found '${line.text}'`);
+
+            const key = this.parseScalar(match[1]);
+            const rest = match[2] !== undefined ? match[2].trim() : '';
+            const index = this.pos++;
+            const textEnd = line.start + line.raw.indexOf(line.text) + line.text.length;
+            const keyPath = path && [...path, key];
+            const span = { start: textEnd - rest.length, end: textEnd };
+
+            if (rest === '') {
+                Object.assign(span, { block: true, childIndent: indent + 2 });
+                this.skipBlank();
+                const next = this.lines[this.pos];
+                if (next && next.indent > indent) {
+                    span.childIndent = next.indent;
+                    obj[key] = this.parseBlock(next.indent, keyPath);
+                } else if (next && next.indent === indent && (next.text === '-' || next.text.startsWith('- '))) {
+                    span.childIndent = indent;
+                    obj[key] = this.parseSequence(indent);
+                } else {
+                    obj[key] = null;
+                }
+                const last = this.lastContentLine(index, this.pos - 1);
+                if (last > index) span.end = this.lineEnd(last);
+                span.container = obj[key] !== null && typeof obj[key] === 'object' && !Array.isArray(obj[key]);
+            } else {
+                obj[key] = this.parseInline(rest, indent);
+                const last = this.lastContentLine(index, this.pos - 1, line => line.raw.trim() === '');
+                if (last > index) span.end = this.lineEnd(last);
+            }
+            if (keyPath) this.values.set(JSON.stringify(keyPath), span);
+            end = Math.max(span.end, this.lineEnd(index));
+        }
+        if (path && end !== null) this.parents.set(JSON.stringify(path), { end, indent });
+        return obj;
+    }
+
+    parseInline(text, indent) {
+        if (/^[&*!]/.test(text)) this.fail('Anchors, aliases and tags are not supported');
+        if (/^[|>][+-]?$/.test(text)) return this.parseBlockScalar(text, indent);
+        if (text.startsWith('[') || text.startsWith('{')) {
+            const state = { text, pos: 0 };
+            const value = this.parseFlow(state);
+            if (state.text.slice(state.pos).trim() !== '') this.fail(`Unsupported flow collection '${text}'`);
+            return value;
+        }
+        return this.parseScalar(text);
+    }
+
+    parseFlow(state) {
+        const skip = () => {
+            while (state.pos < state.text.length && /\s/.test(state.text[state.pos])) state.pos++;
+        };
+        const readScalar = (stops) => {
+            skip();
+            const ch = state.text[state.pos];
+            if (ch === '"' || ch === "'") {
+                const pattern = ch === '"' ? /^"(?:[^"\\]|\\.)*"/ : /^'(?:[^']|'')*'/;
+                const match = state.text.slice(state.pos).match(pattern);
+                if (!match) this.fail('Unterminated quoted scalar');
+                state.pos += match[0].length;
+                return this.parseScalar(match[0]);
+            }
+            let end = state.pos;
+            while (end < state.text.length && !stops.includes(state.text[end])) end++;
+            const token = state.text.slice(state.pos, end).trim();
+            state.pos = end;
+            return this.parseScalar(token);
+        };
+
+        skip();
+        const open = state.text[state.pos];
+        if (open !== '[' && open !== '{') return readScalar(',]}');
+
+        const close = open === '[' ? ']' : '}';
+        const result = open === '[' ? [] : {};
+        state.pos++;
+        while (true) {
+            skip();
+            if (state.pos >= state.text.length) this.fail('Unterminated flow collection');
+            if (state.text[state.pos] === close) {
+                state.pos++;
+                return result;
+            }
+            if (open === '[') {
+                result.push(this.parseFlow(state));
+            } else {
+                const key = readScalar(':,}');
+                skip();
+                if (state.text[state.pos] !== ':') this.fail('Expected \':\' in flow mapping');
+                state.pos++;
+                result[key] = this.parseFlow(state);
+            }
+            skip();
+            if (state.text[state.pos] === ',') state.pos++;
+            else if (state.text[state.pos] !== close) this.fail('Expected \',\' in flow collection');
+        }
+    }
+
+    parseBlockScalar(header, indent) {
+        const folded = header.startsWith('>');
+        const chomp = header.slice(1);
+        const collected = [];
+        let blockIndent = null;
+
+        while (this.pos < this.lines.length) {
+            const line = this.lines[this.pos];
+            if (line.raw.trim() !== '') {
+                if (line.indent <= indent) break;
+                if (blockIndent === null) blockIndent = line.indent;
+            }
+            collected.push(line.raw.trim() === '' ? '' : line.raw.slice(blockIndent));
+            this.pos++;
+        }
+        while (collected.length > 0 && collected[collected.length - 1] === '') collected.pop();
+
+        let out = folded ? collected.join('\n').replace(/([^\n])\n(?=[^\n ])/g, '$1 ') : collected.join('\n');
+        if (chomp !== '-' && out !== '') out += '\n';
+        return out;
+    }
+
+    parseScalar(text) {
+        if (text.startsWith('"')) return JSON.parse(text);
+        if (text.startsWith("'")) return text.slice(1, -1).replace(/''/g, "'");
+        if (/^(~|null|Null|NULL)$/.test(text)) return null;
+        if (/^(true|True|TRUE)$/.test(text)) return true;
+        if (/^(false|False|FALSE)$/.test(text)) return false;
+        if (/^[-+]?(0|[1-9]\d*)$/.test(text)) return parseInt(text, 10);
+        if (/^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/.test(text)) return parseFloat(text);
+        return text;
+    }
+
+    static stringify(value) {
+        const lines = [];
+        this.writeNode(lines, value, 0);
+        return lines.join('\n') + '\n';
+    }
+
+    static writeNode(lines, value, indent) {
+        const pad = ' '.repeat(indent);
+        const isCollection = v => v !== null && typeof v === 'object' && Object.keys(v).length > 0;
+
+        if (Array.isArray(value)) {
+            for (const item of value) {
+                if (isCollection(item) && !Array.isArray(item)) {
+                    const nested = [];
+                    this.writeNode(nested, item, indent + 2);
+                    nested[0] = `${pad}- ${nested[0].slice(indent + 2)}`;
+                    lines.push(...nested);
+                } else if (isCollection(item)) {
+                    lines.push(`${pad}-`);
+                    this.writeNode(lines, item, indent + 2);
+                } else {
+                    lines.push(`${pad}- ${this.formatScalar(item)}`);
+                }
+            }
+            return;
+        }
+
+        for (const [key, item] of Object.entries(value)) {
+            const formattedKey = this.formatScalar(key);
+            if (isCollection(item)) {
+                lines.push(`${pad}${formattedKey}:`);
+                this.writeNode(lines, item, Array.isArray(item) ? indent : indent + 2);
+            } else {
+                lines.push(`${pad}${formattedKey}: ${this.formatScalar(item)}`);
+            }
+        }
+    }
+
+    static formatScalar(value) {
+        if (value === null || value === undefined) return 'null';
+        if (Array.isArray(value)) return '[]';
+        if (typeof value === 'object') return '{}';
+        if (typeof value !== 'string') return String(value);
+        const plainSafe = /^[^\s\-?:,\[\]{}#&*!|>'"%@`][^#]*$/.test(value) && !/:(\s|$)/.test(value) && !/\s$/.test(value);
+        const ambiguous = /^(~|null|true|false|yes|no|on|off)$/i.test(value) || /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(value);
+        return plainSafe && !ambiguous ? value : JSON.stringify(value);
+    }
+}
+
+class LineConfigParser {
+    static parse(text) {
+        const root = {};
+        const stack = [root];
+        const lines = String(text).split(/\r?\n/);
+
+        for (let i = 0; i < lines.length; i++) {
+            let line = lines[i].trim();
+            if (!line || /^[#!;]/.test(line)) continue;
+
+            const current = stack[stack.length - 1];
+            let match;
+            if ((match = line.match(/^\[([^\]]+)\]$/))) {
+                const name = match[1].trim();
+                if (!root[name] || typeof root[name] !== 'object') root[name] = {};
+                stack.length = 1;
+                stack.push(root[name]);
+            } else if ((match = line.match(/^(.+?)\s*\{$/))) {
+                const name = match[1];
+                if (!current[name] || typeof current[name] !== 'object') current[name] = {};
+                stack.push(current[name]);
+            } else if (line === '}') {
+                if (stack.length <= 1) throw new Error(`Config parse error on line ${i + 1}: unbalanced '}'`);
+                stack.pop();
+            } else if ((match = line.match(/^(.+?)\s*<$/))) {
+                const items = [];
+                while (++i < lines.length && lines[i].trim() !== '>') items.push(lines[i].trim());
+                if (i >= lines.length) throw new Error(`Config parse error: unterminated list '${match[1]}'`);
+                current[match[1]] = items;
+            } else {
+                while (/(^|[^\\])(\\\\)*\\$/.test(line) && i + 1 < lines.length) {
+                    line = line.slice(0, -1) + lines[++i].trim();
+                }
+                const entry = this.splitEntry(line);
+                if (!entry) throw new Error(`Config parse error on line ${i + 1}: expected 'key=value'`);
+                current[entry.key] = entry.value;
+            }
+        }
+        return root;
+    }
+
+    static splitEntry(line) {
+        const match = line.includes('=')
+            ? line.match(/^(\s*)([^=]*?)(\s*=\s*)(.*)$/)
+            : line.match(/^(\s*)([^:]*?)(\s*:\s*)(.*)$/);
+        if (!match || !match[2]) return null;
+        return { indent: match[1], key: match[2], separator: match[3], value: match[4] };
+    }
+
+    static stringify(data, baseText) {
+        const eol = baseText.includes('\r\n') ? '\r\n' : '\n';
+        const lines = baseText.split(/\r?\n/);
+        const out = [];
+        const written = new Set();
+        const useBraces = lines.some(l => /\{\s*$/.test(l.trim()));
+        let path = [];
+
+        const lookup = (keys) => keys.reduce((node, key) => node && typeof node === 'object' ? node[key] : undefined, data);
+        const id = (keys) => keys.join('\u0000');
+        const emitMissing = (keys, indent) => {
+            const node = lookup(keys);
+            if (!node || typeof node !== 'object' || Array.isArray(node)) return;
+            for (const [key, value] of Object.entries(node)) {
+                if (written.has(id([...keys, key]))) continue;
+                if (value && typeof value === 'object' && !Array.isArray(value)) {
+                    if (!useBraces && keys.length === 0) continue;
+                    out.push(`${indent}${key} {`);
+                    written.add(id([...keys, key]));
+                    emitMissing([...keys, key], indent + '    ');
+                    out.push(`${indent}}`);
+                } else {
+                    out.push(...this.renderEntry(indent, key, value));
+                    written.add(id([...keys, key]));
+                }
+            }
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const raw = lines[i];
+            const line = raw.trim();
+            const indent = raw.match(/^\s*/)[0];
+            let match;
+
+            if (!line || /^[#!;]/.test(line)) {
+                out.push(raw);
+            } else if ((match = line.match(/^\[([^\]]+)\]$/))) {
+                emitMissing(path, '');
+                path = [match[1].trim()];
+                written.add(id(path));
+                out.push(raw);
+            } else if ((match = line.match(/^(.+?)\s*\{$/))) {
+                path = [...path, match[1]];
+                written.add(id(path));
+                out.push(raw);
+            } else if (line === '}') {
+                emitMissing(path, indent + '    ');
+                path = path.slice(0, -1);
+                out.push(raw);
+            } else if ((match = line.match(/^(.+?)\s*<$/))) {
+                const keys = [...path, match[1]];
+                let end = i;
+                while (end + 1 < lines.length && lines[end + 1].trim() !== '>') end++;
+                const itemIndent = end > i ? lines[i + 1].match(/^\s*/)[0] : indent + '    ';
+                const value = lookup(keys);
+                const items = Array.isArray(value) ? value : lines.slice(i + 1, end + 1).map(l => l.trim());
+                out.push(raw, ...items.map(item => `${itemIndent}${item}`), `${indent}>`);
+                written.add(id(keys));
+                i = end + 1;
+            } else {
+                let logical = raw;
+                while (/(^|[^\\])(\\\\)*\\$/.test(logical) && i + 1 < lines.length) logical = logical.slice(0, -1) + lines[++i].trim();
+                const entry = this.splitEntry(logical);
+                if (!entry) {
+                    out.push(logical);
+                    continue;
+                }
+                const keys = [...path, entry.key.trim()];
+                const value = lookup(keys);
+                out.push(typeof value === 'string' ? `${entry.indent}${entry.key}${entry.separator}${value}` : logical);
+                written.add(id(keys));
+            }
+        }
+
+        while (out.length > 0 && out[out.length - 1] === '') out.pop();
+        emitMissing(path, '');
+        if (!useBraces) {
+            for (const [key, value] of Object.entries(data)) {
+                if (written.has(id([key])) || !value || typeof value !== 'object' || Array.isArray(value)) continue;
+                out.push('', `[${key}]`);
+                written.add(id([key]));
+                emitMissing([key], '');
+            }
+        }
+        return out.join(eol) + eol;
+    }
+
+    static renderEntry(indent, key, value) {
+        if (Array.isArray(value)) {
+            return [`${indent}${key} <`, ...value.map(item => `${indent}    ${item}`), `${indent} >`];
+        }
+        return [`${indent}${key}=${value}`];
+    }
+}
+
+class NbtCodec {
+    static TAG_TYPES = ['end', 'byte', 'short', 'int', 'long', 'float', 'double', 'byteArray', 'string', 'list', 'compound', 'intArray', 'longArray'];
+
+    static async read(bytes) {
+        let data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+        if (data[0] === 0x1f && data[1] === 0x8b) {
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('gzip'));
+            data = new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+        return this.decode(data);
+    }
+
+    static decode(data) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const state = { view, data, pos: 0 };
+        const typeId = view.getUint8(state.pos++);
+        if (this.TAG_TYPES[typeId] !== 'compound') throw new Error('NBT root must be a compound tag');
+        const name = this.readString(state);
+        return { name, root: { type: 'compound', value: this.readPayload(state, 'compound') } };
+    }
+
+    static readString(state) {
+        const length = state.view.getUint16(state.pos);
+        state.pos += 2;
+        const text = new TextDecoder().decode(state.data.subarray(state.pos, state.pos + length));
+        state.pos += length;
+        return text;
+    }
+
+    static readPayload(state, type) {
+        const { view } = state;
+        switch (type) {
+            case 'byte': return view.getInt8(state.pos++);
+            case 'short': { const v = view.getInt16(state.pos); state.pos += 2; return v; }
+            case 'int': { const v = view.getInt32(state.pos); state.pos += 4; return v; }
+            case 'long': { const v = view.getBigInt64(state.pos); state.pos += 8; return v; }
+            case 'float': { const v = view.getFloat32(state.pos); state.pos += 4; return v; }
+            case 'double': { const v = view.getFloat64(state.pos); state.pos += 8; return v; }
+            case 'string': return this.readString(state);
+            case 'byteArray':
+            case 'intArray':
+            case 'longArray': {
+                const length = view.getInt32(state.pos);
+                state.pos += 4;
+                const element = { byteArray: 'byte', intArray: 'int', longArray: 'long' }[type];
+                return Array.from({ length }, () => this.readPayload(state, element));
+            }
+            case 'list': {
+                const elementType = this.TAG_TYPES[view.getUint8(state.pos++)];
+                const length = view.getInt32(state.pos);
+                state.pos += 4;
+                const items = Array.from({ length }, () => ({ type: elementType, value: this.readPayload(state, elementType) }));
+                return { elementType, items };
+            }
+            case 'compound': {
+                const value = {};
+                while (true) {
+                    const childType = this.TAG_TYPES[view.getUint8(state.pos++)];
+                    if (childType === 'end') return value;
+                    if (!childType) throw new Error(`Unknown NBT tag at offset ${state.pos - 1}`);
+                    const name = this.readString(state);
+                    value[name] = { type: childType, value: this.readPayload(state, childType) };
+                }
+            }
+            default:
+                throw new Error(`Unsupported NBT tag type '${type}'`);
+        }
+    }
+
+    static encode({ name = '', root }) {
+        const chunks = [];
+        const writer = {
+            u8: v => chunks.push(Uint8Array.of(v & 0xff)),
+            bytes: b => chunks.push(b),
+            fixed: (size, fn) => {
+                const buf = new Uint8Array(size);
+                fn(new DataView(buf.buffer));
+                chunks.push(buf);
+            }
+        };
+        writer.u8(this.TAG_TYPES.indexOf('compound'));
+        this.writeString(writer, name);
+        this.writePayload(writer, 'compound', root.value);
+
+        const out = new Uint8Array(chunks.reduce((sum, c) => sum + c.length, 0));
+        let offset = 0;
+        for (const chunk of chunks) {
+            out.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return out;
+    }
+
+    static writeString(writer, text) {
+        const bytes = new TextEncoder().encode(text);
+        writer.fixed(2, v => v.setUint16(0, bytes.length));
+        writer.bytes(bytes);
+    }
+
+    static writePayload(writer, type, value) {
+        switch (type) {
+            case 'byte': return writer.fixed(1, v => v.setInt8(0, value));
+            case 'short': return writer.fixed(2, v => v.setInt16(0, value));
+            case 'int': return writer.fixed(4, v => v.setInt32(0, value));
+            case 'long': return writer.fixed(8, v => v.setBigInt64(0, BigInt(value)));
+            case 'float': return writer.fixed(4, v => v.setFloat32(0, value));
+            case 'double': return writer.fixed(8, v => v.setFloat64(0, value));
+            case 'string': return this.writeString(writer, value);
+            case 'byteArray':
+            case 'intArray':
+            case 'longArray': {
+                writer.fixed(4, v => v.setInt32(0, value.length));
+                const element = { byteArray: 'byte', intArray: 'int', longArray: 'long' }[type];
+                return value.forEach(item => this.writePayload(writer, element, item));
+            }
+            case 'list': {
+                const elementType = value.items.length > 0 ? value.elementType : (value.elementType || 'end');
+                writer.u8(this.TAG_TYPES.indexOf(elementType));
+                writer.fixed(4, v => v.setInt32(0, value.items.length));
+                return value.items.forEach(item => this.writePayload(writer, elementType, item.value));
+            }
+            case 'compound': {
+                for (const [name, tag] of Object.entries(value)) {
+                    writer.u8(this.TAG_TYPES.indexOf(tag.type));
+                    this.writeString(writer, name);
+                    this.writePayload(writer, tag.type, tag.value);
+                }
+                return writer.u8(0);
+            }
+            default:
+                throw new Error(`Unsupported NBT tag type '${type}'`);
+        }
+    }
+}
+
+class ServerListMerger {
+    static normalizeAddress(ip) {
+        return String(ip || '').trim().toLowerCase().replace(/:25565$/, '');
+    }
+
+    static readServers(nbt) {
+        const list = nbt.root.value.servers;
+        if (!list || list.type !== 'list') return [];
+        return list.value.items.filter(item => item.type === 'compound').map(item => ({
+            tag: item,
+            name: item.value.name ? item.value.name.value : '',
+            ip: item.value.ip ? item.value.ip.value : ''
+        }));
+    }
+
+    static merge(sources, previous) {
+        const servers = [];
+        const seen = new Set();
+        sources.forEach((src, sourceIdx) => {
+            for (const server of this.readServers(src.nbt)) {
+                const address = this.normalizeAddress(server.ip);
+                if (!address || seen.has(address)) continue;
+                seen.add(address);
+                servers.push({ ...server, address, source: sourceIdx });
+            }
+        });
+
+        if (previous && previous.servers) {
+            const order = previous.servers;
+            const removed = new Set(previous.removed);
+            const kept = servers.filter(s => !removed.has(s.address));
+            kept.sort((a, b) => {
+                const ia = order.indexOf(a.address);
+                const ib = order.indexOf(b.address);
+                return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib);
+            });
+            return { servers: kept, removed };
+        }
+        return { servers, removed: new Set() };
+    }
+
+    static encode(servers, base) {
+        const root = { type: 'compound', value: { ...base.root.value } };
+        root.value.servers = { type: 'list', value: { elementType: 'compound', items: servers.map(s => s.tag) } };
+        return NbtCodec.encode({ name: base.name, root });
+    }
+}
+
+class OptionsTxtMerger {
+    static LIST_KEYS = ['resourcePacks', 'incompatibleResourcePacks'];
+
+    static parse(text) {
+        const entries = [];
+        for (const line of String(text).split(/\r?\n/)) {
+            const idx = line.indexOf(':');
+            if (idx > 0) entries.push([line.slice(0, idx), line.slice(idx + 1)]);
+        }
+        return entries;
+    }
+
+    static parseList(value) {
+        try {
+            const list = JSON.parse(value);
+            return Array.isArray(list) ? list : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    static mergeLists(lists) {
+        const merged = [...lists[0]];
+        for (const list of lists.slice(1)) {
+            const missing = list.filter(entry => !merged.includes(entry));
+            let insertAt = 0;
+            while (insertAt < merged.length && !String(merged[insertAt]).startsWith('file/')) insertAt++;
+            merged.splice(insertAt, 0, ...missing);
+        }
+        return merged;
+    }
+
+    static keybindNamespace(name) {
+        const parts = name.replace(/^key_/, '').split('.');
+        if (parts[0] === 'key') return parts.length === 2 ? 'minecraft' : parts[1];
+        return parts[0];
+    }
+
+    static merge(texts) {
+        const parsed = texts.map(text => this.parse(text));
+        const result = parsed[0].map(([key, value]) => [key, value]);
+        const keys = new Set(result.map(([key]) => key));
+
+        for (const listKey of this.LIST_KEYS) {
+            const lists = parsed.map(entries => entries.find(([key]) => key === listKey)).filter(Boolean).map(([, value]) => this.parseList(value));
+            if (lists.length === 0) continue;
+            const value = JSON.stringify(this.mergeLists(lists));
+            const existing = result.find(([key]) => key === listKey);
+            if (existing) existing[1] = value;
+            else result.push([listKey, value]);
+            keys.add(listKey);
+        }
+
+        for (const entries of parsed.slice(1)) {
+            for (const [key, value] of entries) {
+                if (key.startsWith('key_') && !keys.has(key)) {
+                    result.push([key, value]);
+                    keys.add(key);
+                }
+            }
+        }
+
+        const byKey = new Map();
+        for (const [name, value] of result) {
+            if (!name.startsWith('key_') || value === 'key.keyboard.unknown') continue;
+            if (!byKey.has(value)) byKey.set(value, []);
+            byKey.get(value).push(name);
+        }
+        const keybindConflicts = [...byKey.entries()]
+            .filter(([, names]) => new Set(names.map(n => this.keybindNamespace(n))).size > 1)
+            .map(([key, bindings]) => ({ key, bindings }));
+
+        const eol = texts[0].includes('\r\n') ? '\r\n' : '\n';
+        return { text: result.map(([key, value]) => `${key}:${value}`).join(eol) + eol, keybindConflicts };
+    }
+}
+
+class ConfigMerger {
+    static formatFor(path) {
+        if (path === 'options.txt') return 'options';
+        if (path === 'servers.dat') return 'servers';
+        const ext = path.toLowerCase().split('.').pop();
+        if (ext === 'json' || ext === 'json5') return 'json';
+        if (ext === 'toml') return 'toml';
+        if (ext === 'yml' || ext === 'yaml') return 'yaml';
+        if (ext === 'properties' || ext === 'cfg') return 'lines';
+        return null;
+    }
+
+    static parse(format, text) {
+        if (format === 'json') return Json5Parser.parse(text);
+        if (format === 'toml') return TomlParser.parse(text);
+        if (format === 'yaml') return YamlParser.parse(text);
+        return LineConfigParser.parse(text);
+    }
+
+    static stringify(format, data, source) {
+        if (!['json', 'toml', 'yaml'].includes(format)) return LineConfigParser.stringify(data, source.text);
+
+        const changes = this.changes(source.data, data);
+        if (changes.length === 0) return source.text;
+        const patched = this.patch(format, source.text, data, changes);
+        if (patched !== null || format !== 'json') return patched;
+
+        try {
+            JSON.parse(source.text);
+        } catch (e) {
+            return null;
+        }
+        const indentMatch = source.text.match(/\n([ \t]+)\S/);
+        return JSON.stringify(data, null, indentMatch ? indentMatch[1] : 2) + '\n';
+    }
+
+    static changes(before, after, keyPath = []) {
+        const changes = [];
+        for (const [key, value] of Object.entries(after)) {
+            const path = [...keyPath, key];
+            if (!(key in before)) changes.push({ keyPath: path, value, added: true });
+            else if (this.isPlainObject(before[key]) && this.isPlainObject(value)) changes.push(...this.changes(before[key], value, path));
+            else if (this.isTableList(before[key]) && this.isTableList(value) && before[key].length === value.length) changes.push(...this.changes(before[key], value, path));
+            else if (!this.sameValue(before[key], value)) changes.push({ keyPath: path, value });
+        }
+        return changes;
+    }
+
+    static sameValue(a, b) {
+        if (this.isPlainObject(a) && this.isPlainObject(b)) {
+            const keys = Object.keys(a);
+            return keys.length === Object.keys(b).length && keys.every(key => key in b && this.sameValue(a[key], b[key]));
+        }
+        if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((item, i) => this.sameValue(item, b[i]));
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    static patch(format, text, data, changes) {
+        const parser = { json: Json5Parser, toml: TomlParser, yaml: YamlParser }[format];
+        const eol = text.includes('\r\n') ? '\r\n' : '\n';
+        const lookup = (keys) => keys.reduce((node, key) => node[key], data);
+        const edits = [];
+        try {
+            const layout = parser.layout(text);
+            for (const change of changes) {
+                let edit = null;
+                for (let i = 1; i <= change.keyPath.length && !edit; i++) {
+                    const keys = change.keyPath.slice(0, i);
+                    const span = layout.values.get(JSON.stringify(keys));
+                    if (span && (!span.container || i === change.keyPath.length)) {
+                        edit = { start: span.start, end: span.end, text: parser.patchValue(layout, span, lookup(keys), eol) };
+                    }
+                }
+                for (let i = change.keyPath.length - 1; change.added && !edit && i >= 0; i--) {
+                    const parent = layout.parents.get(JSON.stringify(change.keyPath.slice(0, i)));
+                    edit = parent && parser.patchEntry(layout, parent, change.keyPath.slice(i), change.value, eol);
+                }
+                if (!edit) return null;
+                if (!edits.some(e => e.start === edit.start && e.end === edit.end && e.text === edit.text)) edits.push(edit);
+            }
+
+            let patched = text;
+            edits.map((edit, order) => ({ ...edit, order }))
+                .sort((a, b) => b.start - a.start || b.order - a.order)
+                .forEach(edit => {
+                    patched = patched.slice(0, edit.start) + edit.text + patched.slice(edit.end);
+                });
+            return this.sameValue(this.parse(format, patched), data) ? patched : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    static isTableList(value) {
+        return Array.isArray(value) && value.length > 0 && value.every(item => this.isPlainObject(item));
+    }
+
+    static mergeValues(values, keyPath, conflicts) {
+        if (values.every(v => this.isPlainObject(v.value))) {
+            const result = {};
+            const keys = [];
+            values.forEach(v => Object.keys(v.value).forEach(k => { if (!keys.includes(k)) keys.push(k); }));
+            for (const key of keys) {
+                const present = values.filter(v => key in v.value).map(v => ({ source: v.source, value: v.value[key] }));
+                result[key] = this.mergeValues(present, [...keyPath, key], conflicts);
+            }
+            return result;
+        }
+
+        const distinct = new Set(values.map(v => JSON.stringify(v.value)));
+        if (distinct.size > 1) {
+            conflicts.push({ keyPath, options: values, choice: 0 });
+        }
+        return values[0].value;
+    }
+
+    static render(merge) {
+        if (merge.format === 'servers') {
+            merge.data = ServerListMerger.encode(merge.servers, merge.sources[0].nbt);
+            return;
+        }
+        if (merge.format === 'options') {
+            Object.assign(merge, OptionsTxtMerger.merge(merge.sources.map(src => src.text)));
+            return;
+        }
+        const data = JSON.parse(JSON.stringify(merge.merged));
+        for (const conflict of merge.conflicts) {
+            if (conflict.choice === 0) continue;
+            const parent = conflict.keyPath.slice(0, -1).reduce((node, key) => node[key], data);
+            parent[conflict.keyPath[conflict.keyPath.length - 1]] = conflict.options[conflict.choice].value;
+        }
+        const text = this.stringify(merge.format, data, merge.sources[0]);
+        merge.unmerged = text === null;
+        merge.text = merge.unmerged ? merge.sources[0].text : text;
+    }
+
+    static snapshot(merge) {
+        if (!merge.sources) return merge;
+        const choices = {};
+        merge.conflicts.forEach(conflict => {
+            if (conflict.choice === 0) return;
+            choices[conflict.keyPath.join('.')] = merge.sources[conflict.options[conflict.choice].source].file.pId;
+        });
+        return {
+            format: merge.format,
+            choices,
+            servers: (merge.servers || []).map(server => server.address),
+            removed: [...(merge.removed || [])]
+        };
+    }
+
+    static async buildMerges(files, packs, previous = new Map(), overrides = new Map()) {
+        const groups = new Map();
+        for (const pack of packs) {
+            for (const file of files.filter(f => f.pId === pack.id && f.isStandard)) {
+                if (file.category !== 'configs' && !['options', 'servers'].includes(this.formatFor(file.path))) continue;
+                file.configMerge = null;
+                if (!this.formatFor(file.path) || overrides.get(`${file.pId}:${file.path}`) === false) continue;
+                if (!groups.has(file.path)) groups.set(file.path, []);
+                groups.get(file.path).push(file);
+            }
+        }
+
+        const merges = new Map();
+        for (const [path, copies] of groups) {
+            if (copies.length < 2) continue;
+
+            const format = this.formatFor(path);
+            try {
+                const before = previous.has(path) ? this.snapshot(previous.get(path)) : null;
+                const sources = [];
+                for (const file of copies) {
+                    if (format === 'servers') {
+                        sources.push({ file, nbt: await NbtCodec.read(await file._entry.async('uint8array')) });
+                        continue;
+                    }
+                    const text = await file._entry.async('string');
+                    sources.push({ file, text, data: format === 'options' ? null : this.parse(format, text) });
+                }
+                const structured = format !== 'options' && format !== 'servers';
+                if (structured && !sources.every(src => this.isPlainObject(src.data))) continue;
+
+                const merge = { path, format, owner: copies[0], sources, conflicts: [] };
+                if (structured) {
+                    merge.merged = this.mergeValues(sources.map((src, i) => ({ source: i, value: src.data })), [], merge.conflicts);
+                }
+                if (format === 'servers') {
+                    Object.assign(merge, ServerListMerger.merge(sources, before && before.format === 'servers' ? before : null));
+                }
+
+                if (before) {
+                    for (const conflict of merge.conflicts) {
+                        const chosenPack = before.choices[conflict.keyPath.join('.')];
+                        if (!chosenPack) continue;
+                        const idx = conflict.options.findIndex(o => sources[o.source].file.pId === chosenPack);
+                        if (idx !== -1) conflict.choice = idx;
+                    }
+                }
+
+                this.render(merge);
+                merges.set(path, merge);
+                if (merge.unmerged) {
+                    MergeLog.warn(`${path} cannot be merged without losing its comments or layout; keeping the ${copies[0].pName} copy unchanged.`);
+                }
+                (merge.keybindConflicts || []).forEach(c => {
+                    MergeLog.warn(`Keybind conflict in ${path}: ${c.bindings.join(', ')} are all bound to ${c.key}`);
+                });
+
+                copies[0].configMerge = merge;
+                copies.slice(1).forEach(file => {
+                    if (file.isDuplicate) file.conflictReason = `Merged into ${copies[0].pName} copy`;
+                });
+            } catch (err) {
+                MergeLog.warn(`Could not merge ${path}: ${err.message}. Keeping the highest priority copy.`);
+            }
+        }
+        return merges;
+    }
+}
+
+class JarMetadataExtractor {
+    constructor() {
+        this.cache = new Map();
+    }
+
+    async extract(url, fileName) {
+        if (this.cache.has(url)) {
+            return this.cache.get(url).metadata;
+        }
+
+        try {
+            const data = await FileDownloader.download(url);
+            const zip = await JSZip.loadAsync(data);
+
+            const metadata = await this.parseMetadata(zip, fileName);
+            this.cache.set(url, { metadata, data });
+            return metadata;
+        } catch (err) {
+            MergeLog.error(`Failed to analyze mod "${fileName}": ${err.message}`);
+            const fallback = { mods: [{ id: fileName, version: 'unknown' }], bundled: [] };
+            this.cache.set(url, { metadata: fallback, data: null });
+            return fallback;
+        }
+    }
+
+    async readFile(file) {
+        const cached = this.cache.get(file.downloads[0]);
+        if (cached && cached.data) return cached.data.slice();
+
+        return FileDownloader.download(file.downloads[0]);
+    }
+
+    async parseMetadata(zip, fileName) {
+        const metadata = await this.parseDescriptor(zip, fileName);
+        metadata.loaders = this.declaredLoaders(zip, metadata);
+        return metadata;
+    }
+
+    declaredLoaders(zip, metadata) {
+        const loaders = new Set(metadata.mods.map(m => m.loader).filter(Boolean));
+        if (zip.file('quilt.mod.json')) loaders.add('quilt');
+        if (zip.file('fabric.mod.json')) loaders.add('fabric');
+        if (zip.file('META-INF/neoforge.mods.toml')) {
+            loaders.add('neoforge');
+            if (zip.file('META-INF/mods.toml')) loaders.add('forge');
+        }
+        if (zip.file('litemod.json')) loaders.add('liteloader');
+        return [...loaders];
+    }
+
+    async parseDescriptor(zip, fileName) {
+        try {
+            const quiltMod = zip.file('quilt.mod.json');
+            if (quiltMod) return await this.parseQuiltMod(quiltMod, zip);
+
+            const fabricMod = zip.file('fabric.mod.json');
+            if (fabricMod) return await this.parseFabricMod(fabricMod, zip);
+
+            const neoForgeMod = zip.file('META-INF/neoforge.mods.toml');
+            if (neoForgeMod) return await this.parseForgeMod(neoForgeMod, zip, 'neoforge');
+
+            const forgeMod = zip.file('META-INF/mods.toml');
+            if (forgeMod) return await this.parseForgeMod(forgeMod, zip, 'forge');
+
+            const legacyForgeMod = zip.file('mcmod.info');
+            if (legacyForgeMod) return await this.parseLegacyForgeMod(legacyForgeMod, zip);
+
+            const liteMod = zip.file('litemod.json');
+            if (liteMod) return await this.parseLiteMod(liteMod);
+
+            return { mods: [{ id: fileName, version: 'unknown' }], bundled: [] };
+        } catch (err) {
+            MergeLog.error(`Error parsing metadata for "${fileName}": ${err.message}`);
+            return { mods: [{ id: fileName, version: 'unknown' }], bundled: [] };
+        }
+    }
+
+    async parseFabricMod(file, zip) {
+        try {
+            const content = await file.async('string');
+            const data = JSON.parse(content);
+
+            const mods = [{
+                id: data.id || 'unknown',
+                version: data.version || 'unknown',
+                name: data.name,
+                loader: 'fabric',
+                side: data.environment === 'client' || data.environment === 'server' ? data.environment : 'both',
+                depends: data.depends || {},
+                recommends: data.recommends || {},
+                breaks: data.breaks || {},
+                conflicts: data.conflicts || {},
+                provides: data.provides || []
+            }];
+            if (data.provides && !Array.isArray(data.provides)) {
+                mods[0].provides = Object.keys(data.provides);
+            }
+
+            const jarPaths = Array.isArray(data.jars) ? data.jars.map(jar => jar.file) : [];
+            const bundled = await this.parseNestedJars(zip, jarPaths);
+
+            return { mods, bundled };
+        } catch (err) {
+            MergeLog.error(`Fabric metadata error: ${err.message}`);
+            return { mods: [{ id: 'parse_error', version: 'unknown', depends: {} }], bundled: [] };
+        }
+    }
+
+    async parseQuiltMod(file, zip) {
+        try {
+            const data = JSON.parse(await file.async('string'));
+            const loaderData = data.quilt_loader || {};
+
+            const depends = {};
+            const recommends = {};
+            for (const dep of Array.isArray(loaderData.depends) ? loaderData.depends : []) {
+                const entry = this.parseQuiltDependency(dep);
+                if (!entry) continue;
+                (entry.optional ? recommends : depends)[entry.id] = entry.range;
+            }
+
+            const breaks = {};
+            for (const dep of Array.isArray(loaderData.breaks) ? loaderData.breaks : []) {
+                const entry = this.parseQuiltDependency(dep);
+                if (entry) breaks[entry.id] = entry.range;
+            }
+
+            const provides = [];
+            const provideVersions = {};
+            for (const entry of Array.isArray(loaderData.provides) ? loaderData.provides : []) {
+                const rawId = typeof entry === 'string' ? entry : entry && entry.id;
+                if (!rawId) continue;
+                const id = rawId.split(':').pop();
+                provides.push(id);
+                if (entry.version) provideVersions[id] = entry.version;
+            }
+
+            const environment = data.minecraft && data.minecraft.environment;
+            const mods = [{
+                id: loaderData.id || 'unknown',
+                version: loaderData.version || 'unknown',
+                name: loaderData.metadata && loaderData.metadata.name,
+                loader: 'quilt',
+                side: environment === 'client' ? 'client' : environment === 'dedicated_server' ? 'server' : 'both',
+                depends, recommends, breaks, provides, provideVersions
+            }];
+
+            const jarPaths = Array.isArray(loaderData.jars) ? loaderData.jars : [];
+            const bundled = await this.parseNestedJars(zip, jarPaths);
+
+            return { mods, bundled };
+        } catch (err) {
+            MergeLog.error(`Quilt metadata error: ${err.message}`);
+            return { mods: [{ id: 'parse_error', version: 'unknown', depends: {} }], bundled: [] };
+        }
+    }
+
+    parseQuiltDependency(dep) {
+        if (typeof dep === 'string') {
+            return { id: dep.split(':').pop(), range: '*', optional: false };
+        }
+        if (!dep || !dep.id) return null;
+
+        let range = dep.versions || '*';
+        if (range && typeof range === 'object' && !Array.isArray(range)) {
+            if (Array.isArray(range.all)) range = range.all.join(' ');
+            else if (Array.isArray(range.any)) range = range.any;
+            else range = '*';
+        }
+        return { id: dep.id.split(':').pop(), range, optional: dep.optional === true };
+    }
+
+    async parseLegacyForgeMod(file, zip) {
+        try {
+            const data = JSON.parse(await file.async('string'));
+            const entries = Array.isArray(data) ? data : (data.modList || []);
+
+            const mods = entries.filter(entry => entry && entry.modid).map(entry => {
+                const list = (field) => (Array.isArray(entry[field]) ? entry[field] : []).map(spec => this.parseLegacyDependency(spec)).filter(Boolean);
+                const required = list('requiredMods');
+                const dependencies = [
+                    ...required.map(dep => ({ ...dep, type: 'required', ordering: 'NONE' })),
+                    ...list('dependencies')
+                        .filter(dep => !required.some(r => r.modId === dep.modId))
+                        .map(dep => ({ ...dep, type: 'optional', ordering: 'AFTER' })),
+                    ...list('dependants').map(dep => ({ ...dep, type: 'optional', ordering: 'BEFORE' }))
+                ].map(dep => ({ ...dep, side: 'BOTH' }));
+                const byType = (type) => Object.fromEntries(dependencies.filter(d => d.type === type && d.ordering !== 'BEFORE').map(d => [d.modId, d.versionRange]));
+
+                const version = entry.version && !entry.version.includes('${') ? entry.version : 'unknown';
+                return {
+                    id: entry.modid,
+                    version,
+                    name: entry.name,
+                    loader: 'forge',
+                    depends: byType('required'),
+                    recommends: byType('optional'),
+                    provides: [],
+                    dependencies
+                };
+            });
+            if (mods.length === 0) mods.push({ id: 'unknown', version: 'unknown', depends: {} });
+
+            const manifest = await this.readManifest(zip);
+            const jarPaths = (manifest['ContainedDeps'] || '').split(/\s+/).filter(Boolean).map(name => `META-INF/libraries/${name}`);
+            const bundled = await this.parseNestedJars(zip, jarPaths);
+
+            return { mods, bundled };
+        } catch (err) {
+            MergeLog.error(`Legacy Forge metadata error: ${err.message}`);
+            return { mods: [{ id: 'parse_error', version: 'unknown', depends: {} }], bundled: [] };
+        }
+    }
+
+    parseLegacyDependency(spec) {
+        const [id, range] = String(spec).replace(/^[a-z-]+:/, '').split('@');
+        if (!id.trim()) return null;
+        return { modId: id.trim(), versionRange: range ? range.trim() : '*' };
+    }
+
+    async parseLiteMod(file) {
+        try {
+            const data = JSON.parse(await file.async('string'));
+
+            const depends = {};
+            for (const id of Array.isArray(data.dependsOn) ? data.dependsOn : []) {
+                depends[id] = '*';
+            }
+
+            const mods = [{
+                id: data.name || 'unknown',
+                version: data.version || 'unknown',
+                name: data.displayName || data.name,
+                loader: 'liteloader',
+                depends,
+                provides: []
+            }];
+            return { mods, bundled: [] };
+        } catch (err) {
+            MergeLog.error(`LiteLoader metadata error: ${err.message}`);
+            return { mods: [{ id: 'parse_error', version: 'unknown', depends: {} }], bundled: [] };
+        }
+    }
+
+    async parseNestedJars(zip, paths) {
+        const bundled = [];
+        for (const path of paths) {
+            try {
+                const nestedFile = zip.file(path);
+                if (nestedFile) {
+                    const nestedZip = await JSZip.loadAsync(await nestedFile.async('uint8array'));
+                    const nestedMeta = await this.parseMetadata(nestedZip, path);
+                    bundled.push(...nestedMeta.mods);
+                }
+            } catch (e) {
+                MergeLog.warn(`Warning: Failed to parse bundled JAR "${path}"`);
+            }
+        }
+        return bundled;
+    }
+
+    async parseForgeMod(file, zip, loader = 'forge') {
+        try {
+            const data = TomlParser.parse(await file.async('string'));
+            const manifest = await this.readManifest(zip);
+            const entries = Array.isArray(data.mods) ? data.mods : [];
+            const dependencyTable = data.dependencies || {};
+            const declaredIds = Object.values(dependencyTable).flat().map(dep => dep && dep.modId);
+            if (loader === 'forge' && declaredIds.includes('neoforge') && !declaredIds.includes('forge')) loader = 'neoforge';
+
+            const mods = entries.map(entry => {
+                const id = entry.modId || 'unknown';
+                let version = entry.version ? String(entry.version) : 'unknown';
+                if (version.includes('${file.jarVersion}')) {
+                    const jarVersion = manifest['Implementation-Version'];
+                    version = jarVersion ? version.replace('${file.jarVersion}', jarVersion) : 'unknown';
+                }
+
+                const dependencies = (Array.isArray(dependencyTable[id]) ? dependencyTable[id] : [])
+                    .filter(dep => dep && dep.modId)
+                    .map(dep => ({
+                        modId: dep.modId,
+                        type: this.forgeDependencyType(dep),
+                        versionRange: dep.versionRange || '*',
+                        side: (dep.side || 'BOTH').toUpperCase(),
+                        ordering: (dep.ordering || 'NONE').toUpperCase()
+                    }));
+
+                const byType = (type) => Object.fromEntries(dependencies.filter(d => d.type === type).map(d => [d.modId, d.versionRange]));
+                const clientOnly = data.clientSideOnly === true || String(entry.displayTest || '').toUpperCase() === 'IGNORE_SERVER_VERSION';
+
+                return {
+                    id, version, loader,
+                    name: entry.displayName,
+                    side: clientOnly ? 'client' : 'both',
+                    depends: byType('required'),
+                    recommends: byType('optional'),
+                    breaks: byType('incompatible'),
+                    conflicts: byType('discouraged'),
+                    provides: [],
+                    dependencies
+                };
+            });
+
+            if (mods.length === 0) mods.push({ id: 'unknown', version: 'unknown', depends: {} });
+            return { mods, bundled: [] };
+        } catch (err) {
+            MergeLog.error(`Forge metadata error: ${err.message}`);
+            return { mods: [{ id: 'parse_error', version: 'unknown', depends: {} }], bundled: [] };
+        }
+    }
+
+    forgeDependencyType(dep) {
+        if (typeof dep.type === 'string') return dep.type.toLowerCase();
+        return dep.mandatory === false ? 'optional' : 'required';
+    }
+
+    async readManifest(zip) {
+        const attributes = {};
+        const entry = zip && zip.file('META-INF/MANIFEST.MF');
+        if (!entry) return attributes;
+
+        let lastKey = null;
+        for (const line of (await entry.async('string')).split(/\r?\n/)) {
+            if (line === '') break;
+            if (line.startsWith(' ') && lastKey) {
+                attributes[lastKey] += line.slice(1);
+                continue;
+            }
+            const idx = line.indexOf(':');
+            if (idx > 0) {
+                lastKey = line.slice(0, idx).trim();
+                attributes[lastKey] = line.slice(idx + 1).trim();
+            }
+        }
+        return attributes;
+    }
+}
+
+
+class DependencyValidator {
+    static LOADER_DEPENDENCIES = {
+        fabricloader: 'fabric',
+        quilt_loader: 'quilt',
+        quiltloader: 'quilt',
+        forge: 'forge',
+        neoforge: 'neoforge'
+    };
+
+    static defaultJava(mcVersion) {
+        if (!mcVersion || !VersionComparator.parse(mcVersion).comparable) return null;
+        if (VersionComparator.compare(mcVersion, '1.20.5') >= 0) return '21';
+        if (VersionComparator.compare(mcVersion, '1.18') >= 0) return '17';
+        if (VersionComparator.compare(mcVersion, '1.17') >= 0) return '16';
+        return '8';
+    }
+
+    static platformFor(pack, { java = null, loaderVersion = null } = {}) {
+        if (!pack) return null;
+        return {
+            minecraft: pack.ver,
+            loader: pack.loader,
+            loaderVersion: loaderVersion || getLoaderVersion(pack),
+            java: java || this.defaultJava(pack.ver)
+        };
+    }
+
+    static checkPlatform(mod, source, platform) {
+        const issues = [];
+        const files = [{ fileName: source.fileName, packName: source.packName, pId: source.pId, path: source.path }];
+        const check = (kind, label, range, present) => {
+            if (!present || VersionComparator.invalidPredicates(range).length > 0 || VersionComparator.satisfies(present, range)) return;
+            issues.push({
+                type: 'platform',
+                platform: kind,
+                severity: 'critical',
+                modId: kind,
+                requiredBy: mod.id,
+                requiredVersion: range,
+                presentVersion: present,
+                files,
+                message: `Mod '${mod.id}' requires ${label} ${VersionComparator.describeRange(range)}, but the pack uses ${present}.`
+            });
+        };
+
+        for (const [depId, range] of Object.entries(mod.depends || {})) {
+            const id = depId.toLowerCase();
+            if (id === 'minecraft') {
+                check('minecraft', 'Minecraft', range, platform.minecraft);
+            } else if (id === 'java') {
+                check('java', 'Java', range, platform.java);
+            } else if (this.LOADER_DEPENDENCIES[id] && this.LOADER_DEPENDENCIES[id] === platform.loader) {
+                check('loader', LoaderCompatibility.label(platform.loader), range, platform.loaderVersion);
+            }
+        }
+        return issues;
+    }
+
+    static checkRanges(mod, source) {
+        const issues = [];
+        const files = [{ fileName: source.fileName, packName: source.packName, pId: source.pId, path: source.path }];
+        for (const [depId, range] of Object.entries(mod.depends || {})) {
+            const invalid = VersionComparator.invalidPredicates(range);
+            if (invalid.length === 0) continue;
+            issues.push({
+                type: 'range',
+                severity: 'critical',
+                modId: depId,
+                requiredBy: mod.id,
+                requiredVersion: range,
+                files,
+                message: `Mod '${mod.id}' declares '${invalid.join(' ')}' for '${depId}'; loaders refuse wildcards combined with <, <=, > or >=, so the mod will not load.`
+            });
+        }
+        return issues;
+    }
+
+    static validate(modRegistry, platform = null) {
+        const issues = [];
+
+        const presentMods = new Map();
+        modRegistry.forEach((data, url) => {
+            const source = { fileName: data.fileName, packName: data.packName, pId: data.pId, path: data.path };
+            data.metadata.mods.forEach(m => {
+                presentMods.set(m.id, { version: m.version, ...source });
+                if (m.provides && Array.isArray(m.provides)) {
+                    m.provides.forEach(pId => {
+                        const version = (m.provideVersions && m.provideVersions[pId]) || m.version;
+                        if (!presentMods.has(pId)) presentMods.set(pId, { version, ...source, isProvided: true });
+                    });
+                }
+            });
+            data.metadata.bundled.forEach(m => presentMods.set(m.id, { version: m.version, ...source }));
+        });
+
+        modRegistry.forEach((data, url) => {
+            const metadata = data.metadata;
+            if (!metadata.mods) return;
+
+            metadata.mods.forEach(mod => {
+                if (!mod || !mod.depends) return;
+                if (platform) issues.push(...this.checkPlatform(mod, data, platform));
+                issues.push(...this.checkRanges(mod, data));
+
+                for (const [depId, range] of Object.entries(mod.depends)) {
+                    if (['minecraft', 'java', 'fabricloader', 'fabric', 'quiltloader', 'quilt_loader', 'forge', 'neoforge', 'liteloader', 'mixinextras', 'mixinextra', 'mixins', 'cloth-config', 'cloth-config2'].includes(depId.toLowerCase())) continue;
+
+                    if (!presentMods.has(depId)) {
+                        issues.push({
+                            type: 'missing',
+                            modId: depId,
+                            requiredBy: mod.id,
+                            requiredVersion: range,
+                            message: `Mod '${mod.id}' requires '${depId}' (${VersionComparator.describeRange(range)}), but it's missing!`
+                        });
+                    } else {
+                        const present = presentMods.get(depId);
+                        if (!VersionComparator.parse(present.version).comparable || VersionComparator.invalidPredicates(range).length > 0) continue;
+                        if (!VersionComparator.satisfies(present.version, range)) {
+                            issues.push({
+                                type: 'outdated',
+                                modId: depId,
+                                requiredBy: mod.id,
+                                requiredVersion: range,
+                                presentVersion: present.version,
+                                message: `Mod '${mod.id}' requires version '${VersionComparator.describeRange(range)}' of '${depId}', but version '${present.version}' is installed!`
+                            });
+                        }
+                    }
+                }
+
+                issues.push(...this.findConflicts(mod, data, presentMods));
+            });
+        });
+        return issues;
+    }
+
+    static findConflicts(mod, source, presentMods) {
+        const conflicts = [];
+        const declared = [
+            ...Object.entries(mod.breaks || {}).map(([id, range]) => ({ id, range, severity: 'breaks' })),
+            ...Object.entries(mod.conflicts || {}).map(([id, range]) => ({ id, range, severity: 'conflicts' }))
+        ];
+
+        for (const { id, range, severity } of declared) {
+            const present = presentMods.get(id);
+            if (!present) continue;
+            if (present.pId === source.pId && present.path === source.path) continue;
+            if (!VersionComparator.satisfies(present.version, range)) continue;
+
+            const verb = severity === 'breaks' ? 'is incompatible with' : 'conflicts with';
+            conflicts.push({
+                type: 'conflict',
+                severity,
+                modId: id,
+                requiredBy: mod.id,
+                requiredVersion: range,
+                presentVersion: present.version,
+                files: [
+                    { pId: source.pId, path: source.path, fileName: source.fileName, packName: source.packName },
+                    { pId: present.pId, path: present.path, fileName: present.fileName, packName: present.packName }
+                ],
+                message: `Mod '${mod.id}' ${verb} '${id}' (${VersionComparator.describeRange(range)}), but version '${present.version}' is installed!`
+            });
+        }
+        return conflicts;
+    }
+}
+
+class ConflictResolver {
+    constructor(extractor) {
+        this.extractor = extractor;
+        this.modRegistry = new Map();
+    }
+
+    async analyzeFiles(files, packs) {
+        this.modRegistry.clear();
+        const enriched = [];
+
+        const analyzable = f => f.enabled && f.category === 'mods' && (f.isStandard || (f.downloads && f.downloads.length > 0));
+        const filesToAnalyze = files.filter(analyzable);
+        const skippedFiles = files.filter(f => !analyzable(f));
+
+        skippedFiles.forEach(file => {
+            enriched.push({ ...file, metadata: null, conflicts: [] });
+        });
+
+        const batchSize = 5;
+        const totalFiles = filesToAnalyze.length;
+
+        for (let i = 0; i < totalFiles; i += batchSize) {
+            const batch = filesToAnalyze.slice(i, i + batchSize);
+            const progress = Math.min(i + batchSize, totalFiles);
+
+            MergeLog.info(`Analyzing JARs: ${progress}/${totalFiles}`);
+
+            const batchResults = await Promise.all(
+                batch.map(async (file) => {
+                    const pack = packs.find(p => p.id === file.pId);
+                    let metadata;
+                    if (file.isStandard) {
+                        try {
+                            const jar = await JSZip.loadAsync(await file._entry.async('uint8array'));
+                            metadata = await this.extractor.parseMetadata(jar, file.fileName);
+                        } catch (e) {
+                            metadata = { mods: [{ id: file.fileName, version: 'unknown', depends: {} }], bundled: [] };
+                        }
+                    } else {
+                        const url = file.downloads[0];
+                        metadata = await this.extractor.extract(url, file.fileName);
+                    }
+                    const conflicts = this.detectConflicts(file, metadata, pack);
+                    return { ...file, metadata, conflicts };
+                })
+            );
+
+            batchResults.forEach(result => {
+                enriched.push(result);
+                const key = result.isStandard ? `local:${result.pId}:${result.path}` : result.downloads[0];
+                this.modRegistry.set(key, {
+                    metadata: result.metadata,
+                    fileName: result.fileName,
+                    packName: result.pName,
+                    pId: result.pId,
+                    path: result.path
+                });
+            });
+        }
+
+        return enriched;
+    }
+
+    enabledRegistry(files) {
+        const enabled = new Set(files.filter(f => f.enabled).map(f => `${f.pId}:${f.path}`));
+        return new Map([...this.modRegistry].filter(([, data]) => enabled.has(`${data.pId}:${data.path}`)));
+    }
+
+    detectConflicts(file, metadata, pack) {
+        const conflicts = [];
+        if (!metadata || !metadata.mods) return conflicts;
+
+        for (const mod of metadata.mods) {
+            if (this.modRegistry.has(mod.id)) {
+                const existing = this.modRegistry.get(mod.id);
+                const comparison = VersionComparator.compare(mod.version, existing.version);
+
+                if (VersionComparator.isIncomparable(comparison)) {
+                    conflicts.push({
+                        type: 'incomparable',
+                        modId: mod.id,
+                        thisVersion: mod.version,
+                        otherVersion: existing.version,
+                        otherFile: existing.fileName
+                    });
+                } else if (comparison !== 0) {
+                    conflicts.push({
+                        type: 'version',
+                        modId: mod.id,
+                        thisVersion: mod.version,
+                        otherVersion: existing.version,
+                        otherFile: existing.fileName,
+                        resolution: comparison > 0 ? 'keep_this' : 'keep_other'
+                    });
+                } else {
+                    conflicts.push({
+                        type: 'duplicate',
+                        modId: mod.id,
+                        version: mod.version,
+                        otherFile: existing.fileName
+                    });
+                }
+            }
+        }
+        return conflicts;
+    }
+
+    registerMods(file, metadata) {
+        if (!metadata || !metadata.mods) return;
+        for (const mod of metadata.mods) {
+            if (!this.modRegistry.has(mod.id)) {
+                this.modRegistry.set(mod.id, {
+                    fileName: file.fileName,
+                    version: mod.version,
+                    packId: file.pId
+                });
+            }
+        }
+    }
+
+    static extractModSlug(filename) {
+        if (!filename.toLowerCase().endsWith('.jar')) return filename;
+        let name = filename.slice(0, -4);
+        const match = name.match(/^(.*?)(?:[-+](?:\d|v\d))/i);
+        if (match) {
+            name = match[1];
+        }
+        return name.toLowerCase().trim();
+    }
+
+    static knownModIds(file) {
+        const mods = (file.metadata && file.metadata.mods) || [];
+        return mods
+            .map(mod => mod && mod.id)
+            .filter(id => id && id !== 'unknown' && id !== 'parse_error' && id !== file.fileName);
+    }
+
+    static hashKeys(file) {
+        const hashes = file.hashes || (file._original && file._original.hashes) || {};
+        return ['sha1', 'sha512'].filter(algo => hashes[algo]).map(algo => `${algo}:${hashes[algo].toLowerCase()}`);
+    }
+
+    static applyOverrides(files, overrides) {
+        files.forEach(f => {
+            const key = `${f.pId}:${f.path}`;
+            if (overrides.has(key)) f.enabled = overrides.get(key);
+        });
+    }
+
+    static projectKey(file) {
+        if (file.curseforge) return `curseforge:${file.curseforge.projectID}`;
+        const url = file.downloads && file.downloads[0];
+        const match = url && url.match(/^https:\/\/cdn\.modrinth\.com\/data\/([A-Za-z0-9]+)\/versions\//);
+        return match ? `modrinth:${match[1]}` : null;
+    }
+
+    async hashFiles(files) {
+        const targets = files.filter(f => f.isStandard && f.category === 'mods' && !f.hashes);
+        for (const file of targets) {
+            try {
+                const data = await file._entry.async('uint8array');
+                file.hashes = { sha1: await HashUtil.digest('SHA-1', data) };
+            } catch (e) {
+                MergeLog.warn(`Could not hash ${file.fileName}: ${e.message}`);
+            }
+        }
+    }
+
+    flagDuplicate(file, method, keptSource, reason) {
+        file.enabled = false;
+        file.isDuplicate = true;
+        file.duplicateMethod = method;
+        file.keptSource = keptSource;
+        file.conflictReason = reason;
+    }
+
+    resolveByPriority(files, packs) {
+        const hashRegistry = new Map();
+        const pathRegistry = new Map();
+        const modIdRegistry = new Map();
+        const projectRegistry = new Map();
+        const slugRegistry = new Map();
+
+        for (const pack of packs) {
+            const packFiles = files.filter(f => f.pId === pack.id);
+
+            for (const file of packFiles) {
+                file.isDuplicate = false;
+                file.enabled = true;
+                file.duplicateMethod = null;
+                file.keptSource = null;
+                file.conflictReason = null;
+                const packName = file.pName || pack.name;
+
+                if (!file.isStandard && !file.distributionDisabled && (!file.downloads || file.downloads.length === 0)) {
+                    file.enabled = false;
+                    file.conflictReason = 'No download available';
+                    continue;
+                }
+
+                const hashKeys = ConflictResolver.hashKeys(file);
+                const hashMatch = hashKeys.find(key => hashRegistry.has(key));
+                if (hashMatch) {
+                    const existing = hashRegistry.get(hashMatch);
+                    this.flagDuplicate(file, 'hash', existing.packName, `Identical file to ${existing.fileName}`);
+                    continue;
+                }
+                hashKeys.forEach(key => hashRegistry.set(key, { fileName: file.fileName, packName }));
+
+                if (pathRegistry.has(file.path)) {
+                    this.flagDuplicate(file, 'path', pathRegistry.get(file.path), 'Exact path duplicate');
+                    continue;
+                }
+                pathRegistry.set(file.path, packName);
+
+                const modIds = ConflictResolver.knownModIds(file);
+                if (modIds.length > 0) {
+                    const mods = file.metadata.mods.filter(mod => modIds.includes(mod.id));
+                    const mod = mods.find(m => modIdRegistry.has(m.id));
+                    if (mod) {
+                        const existing = modIdRegistry.get(mod.id);
+                        const comparison = VersionComparator.compare(mod.version, existing.version);
+                        const reason = comparison > 0
+                            ? `Newer version ${mod.version} overridden by higher priority ${existing.version} (Mod ID: ${mod.id})`
+                            : `Older version (Mod ID: ${mod.id})`;
+                        this.flagDuplicate(file, 'mod-id', existing.packName, reason);
+                        continue;
+                    }
+
+                    mods.forEach(m => modIdRegistry.set(m.id, { version: m.version, packName }));
+                }
+
+                if (file.category === 'mods') {
+                    const projectKey = ConflictResolver.projectKey(file);
+                    if (projectKey) {
+                        if (projectRegistry.has(projectKey)) {
+                            const existing = projectRegistry.get(projectKey);
+                            this.flagDuplicate(file, 'project', existing.packName, `Same project as ${existing.fileName}`);
+                            continue;
+                        }
+                        projectRegistry.set(projectKey, { fileName: file.fileName, packName });
+                    }
+
+                    const slug = ConflictResolver.extractModSlug(file.fileName);
+                    const existing = slugRegistry.get(slug);
+                    if (existing && (modIds.length === 0 || existing.modIds.length === 0)) {
+                        this.flagDuplicate(file, 'filename', existing.packName, `Possible duplicate of ${existing.fileName}`);
+                        continue;
+                    }
+                    if (!existing) {
+                        slugRegistry.set(slug, {
+                            fileName: file.fileName,
+                            packName,
+                            modIds
+                        });
+                    }
+                }
+            }
+        }
+    }
+}
+
+class HashUtil {
+    static async digest(algorithm, data) {
+        const buffer = await crypto.subtle.digest(algorithm, data);
+        return Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+class EnvironmentResolver {
+    static LABELS = {
+        client: 'CLIENT ONLY',
+        server: 'SERVER ONLY',
+        both: 'CLIENT + SERVER'
+    };
+
+    static fromEnv(env) {
+        if (!env) return null;
+        if (env.server === 'unsupported' && env.client !== 'unsupported') return 'client';
+        if (env.client === 'unsupported' && env.server !== 'unsupported') return 'server';
+        return 'both';
+    }
+
+    static toEnv(side) {
+        if (side === 'client') return { client: 'required', server: 'unsupported' };
+        if (side === 'server') return { client: 'unsupported', server: 'required' };
+        return { client: 'required', server: 'required' };
+    }
+
+    static normalizeEnv(client, server) {
+        const valid = ['required', 'optional', 'unsupported'];
+        return {
+            client: valid.includes(client) ? client : 'required',
+            server: valid.includes(server) ? server : 'required'
+        };
+    }
+
+    static fromMetadata(metadata) {
+        if (!metadata || !Array.isArray(metadata.mods)) return null;
+        const sides = metadata.mods.map(mod => mod.side).filter(Boolean);
+        if (sides.length === 0) return null;
+        return sides.every(side => side === sides[0]) ? sides[0] : 'both';
+    }
+
+    static sideOf(file) {
+        return file.side || this.fromMetadata(file.metadata);
+    }
+
+    static isServerFile(file) {
+        if (file.category === 'resourcepacks' || file.category === 'shaderpacks') return false;
+        return this.sideOf(file) !== 'client';
+    }
+
+    static findClientOnlyDependencies(kept, removed) {
+        const clientOnly = new Map();
+        for (const file of removed) {
+            if (!file.metadata || !file.metadata.mods) continue;
+            for (const mod of file.metadata.mods) {
+                clientOnly.set(mod.id, file);
+                (mod.provides || []).forEach(id => clientOnly.set(id, file));
+            }
+        }
+
+        const available = new Set();
+        for (const file of kept) {
+            if (!file.metadata) continue;
+            for (const mod of [...(file.metadata.mods || []), ...(file.metadata.bundled || [])]) {
+                available.add(mod.id);
+                (mod.provides || []).forEach(id => available.add(id));
+            }
+        }
+
+        const warnings = [];
+        for (const file of kept) {
+            if (!file.metadata || !file.metadata.mods) continue;
+            for (const mod of file.metadata.mods) {
+                const clientDeps = new Set((mod.dependencies || []).filter(dep => dep.side === 'CLIENT').map(dep => dep.modId));
+                for (const depId of Object.keys(mod.depends || {})) {
+                    if (clientDeps.has(depId) || available.has(depId) || !clientOnly.has(depId)) continue;
+                    warnings.push({ file, modId: mod.id, dependency: depId, dependencyFile: clientOnly.get(depId) });
+                }
+            }
+        }
+        return warnings;
+    }
+}
+
+class LoaderCompatibility {
+    static SEVERITIES = ['compatible', 'warning', 'critical'];
+
+    static RULES = {
+        quilt: {
+            fabric: { pack: 'compatible', mod: 'compatible', reason: 'Quilt loads Fabric mods' }
+        },
+        fabric: {
+            quilt: { pack: 'warning', mod: 'critical', reason: 'Fabric cannot load Quilt-only mods' }
+        },
+        neoforge: {
+            forge: { pack: 'warning', mod: 'warning', reason: 'NeoForge only loads Forge mods built for Minecraft 1.20.1', versions: ['1.20.1'] }
+        },
+        forge: {
+            liteloader: { pack: 'warning', mod: 'warning', reason: 'LiteLoader mods need LiteLoader installed alongside Forge' }
+        }
+    };
+
+    static label(loader) {
+        return loader ? loader.charAt(0).toUpperCase() + loader.slice(1) : 'Unknown';
+    }
+
+    static check(host, guest, { scope = 'pack', mcVersion = null } = {}) {
+        if (host === guest) return { severity: 'compatible', reason: '' };
+        if (!host || !guest || host === 'unknown' || guest === 'unknown') {
+            return { severity: 'warning', reason: 'the mod loader could not be detected' };
+        }
+        if (guest === 'vanilla') return { severity: 'compatible', reason: 'vanilla content needs no loader' };
+
+        const rule = this.RULES[host] && this.RULES[host][guest];
+        if (!rule) return { severity: 'critical', reason: `${this.label(guest)} mods do not run on ${this.label(host)}` };
+        if (rule.versions && mcVersion && !rule.versions.includes(mcVersion)) {
+            return { severity: 'critical', reason: rule.reason };
+        }
+        return { severity: rule[scope], reason: rule.reason };
+    }
+
+    static best(host, guests, options) {
+        return guests
+            .map(guest => this.check(host, guest, options))
+            .sort((a, b) => this.SEVERITIES.indexOf(a.severity) - this.SEVERITIES.indexOf(b.severity))[0];
+    }
+
+    static loadersOf(metadata) {
+        if (!metadata) return [];
+        if (Array.isArray(metadata.loaders)) return metadata.loaders;
+        return [...new Set((metadata.mods || []).map(m => m.loader).filter(Boolean))];
+    }
+
+    static detect(jarLoaders) {
+        const declared = jarLoaders.filter(loaders => loaders.length > 0);
+        const candidates = [...new Set(declared.flat())];
+        let best = null;
+        for (const candidate of candidates) {
+            const runs = declared.filter(loaders => this.best(candidate, loaders, { scope: 'mod' }).severity === 'compatible').length;
+            const direct = declared.filter(loaders => loaders.includes(candidate)).length;
+            if (!best || runs > best.runs || (runs === best.runs && direct > best.direct)) best = { loader: candidate, runs, direct };
+        }
+        return best ? best.loader : null;
+    }
+}
+
+class CompatibilityValidator {
+    static isBlocking(issue) {
+        return issue.severity === 'critical';
+    }
+
+    static checkModLoaders(modRegistry, basePack) {
+        const issues = [];
+        if (!basePack) return issues;
+
+        modRegistry.forEach(data => {
+            if (!data.metadata || !data.path) return;
+            const loaders = LoaderCompatibility.loadersOf(data.metadata);
+            if (loaders.length === 0) return;
+
+            const result = LoaderCompatibility.best(basePack.loader, loaders, { scope: 'mod', mcVersion: basePack.ver });
+            if (result.severity === 'compatible') return;
+
+            const mod = data.metadata.mods[0] || {};
+            issues.push({
+                type: 'loader',
+                severity: result.severity,
+                modId: mod.id || data.fileName,
+                loaders,
+                files: [{ fileName: data.fileName, packName: data.packName, pId: data.pId, path: data.path }],
+                message: `${data.fileName} (${data.packName}) is a ${loaders.map(l => LoaderCompatibility.label(l)).join('/')} mod: ${result.reason}.`
+            });
+        });
+        return issues;
+    }
+
+    static checkPackCompatibility(packs) {
+        const issues = [];
+        if (packs.length === 0) return issues;
+
+        const basePack = packs[0];
+        const baseVersion = basePack.ver;
+        const baseLoader = basePack.loader;
+
+        for (let i = 1; i < packs.length; i++) {
+            const pack = packs[i];
+            if (pack.ver !== baseVersion) {
+                issues.push({
+                    type: 'version_mismatch',
+                    severity: 'critical',
+                    pack1: basePack.name,
+                    pack2: pack.name,
+                    version1: baseVersion,
+                    version2: pack.ver,
+                    message: `Minecraft version mismatch: ${basePack.name} (${baseVersion}) vs ${pack.name} (${pack.ver})`
+                });
+            }
+            const loaderCheck = LoaderCompatibility.check(baseLoader, pack.loader, { mcVersion: baseVersion });
+            if (loaderCheck.severity !== 'compatible') {
+                issues.push({
+                    type: 'loader_mismatch',
+                    severity: loaderCheck.severity,
+                    pack1: basePack.name,
+                    pack2: pack.name,
+                    loader1: baseLoader,
+                    loader2: pack.loader,
+                    message: `Mod loader mismatch: ${basePack.name} (${baseLoader}) vs ${pack.name} (${pack.loader}): ${loaderCheck.reason}`
+                });
+            }
+        }
+        return issues;
+    }
+
+    static getCompatibilitySummary(issues) {
+        if (issues.length === 0) return { compatible: true, message: 'All packs are compatible' };
+        const versionIssues = issues.filter(i => i.type === 'version_mismatch').length;
+        const loaderIssues = issues.filter(i => i.type === 'loader_mismatch').length;
+        const messages = [];
+        if (versionIssues > 0) messages.push(`${versionIssues} version conflict(s)`);
+        if (loaderIssues > 0) messages.push(`${loaderIssues} loader conflict(s)`);
+        return { compatible: false, message: messages.join(', '), details: issues };
+    }
+}
+
+class StandardPackResolver {
+    static getCategory(path) {
+        const lowerPath = path.toLowerCase();
+        if (lowerPath.startsWith('mods/') || lowerPath.includes('/mods/')) return 'mods';
+        if (lowerPath.startsWith('resourcepacks/') || lowerPath.includes('resourcepacks/')) return 'resourcepacks';
+        if (lowerPath.startsWith('shaderpacks/') || lowerPath.includes('shaderpacks/')) return 'shaderpacks';
+        if (lowerPath.startsWith('config/') || lowerPath.includes('config/') || lowerPath.startsWith('scripts/') || lowerPath.includes('scripts/')) return 'configs';
+        return 'others';
+    }
+
+    static async detectMetadata(zip, fallback = null) {
+        let version = null;
+        let loader = null;
+
+        const manifestEntry = zip.file('manifest.json');
+        if (manifestEntry) {
+            try {
+                const data = JSON.parse(await manifestEntry.async('string'));
+                if (data.minecraft) {
+                    version = data.minecraft.version;
+                    if (data.minecraft.modLoaders && data.minecraft.modLoaders.length > 0) {
+                        loader = data.minecraft.modLoaders[0].id.split('-')[0];
+                    }
+                }
+            } catch (e) {
+                console.warn('Failed to parse manifest.json');
+            }
+        }
+
+        const instanceCfg = zip.file('instance.cfg');
+        if (instanceCfg && !version) {
+            try {
+                const content = await instanceCfg.async('string');
+                const vMatch = content.match(/IntendedVersion=([^ \r\n]+)/);
+                if (vMatch) version = vMatch[1];
+                if (content.includes('LWJGL')) loader = content.includes('Fabric') ? 'fabric' : 'forge';
+            } catch (e) { }
+        }
+
+        if (!version || !loader) {
+            const detected = await this.detectFromJars(zip, {
+                version: !version,
+                loader: !loader,
+                baseVersion: fallback ? fallback.ver : null
+            });
+            version = version || detected.ver;
+            loader = loader || detected.loader;
+        }
+
+        return {
+            ver: version || (fallback ? fallback.ver : null),
+            loader: loader || (fallback && fallback.loader !== 'unknown' ? fallback.loader : null)
+        };
+    }
+
+    static async detectFromJars(zip, { version = true, loader = true, baseVersion = null } = {}) {
+        const extractor = new JarMetadataExtractor();
+        const jarLoaders = [];
+        const ranges = [];
+        const nameVersions = [];
+
+        const modPaths = Object.keys(zip.files).filter(p => (p.startsWith('mods/') || p.includes('/mods/')) && !zip.files[p].dir);
+        for (const path of modPaths) {
+            const name = path.split('/').pop();
+            if (name.endsWith('.litemod')) {
+                jarLoaders.push(['liteloader']);
+                continue;
+            }
+            if (!name.endsWith('.jar')) continue;
+
+            const nameMatch = version && name.match(/(1\.\d+(?:\.\d+)?)/);
+            if (nameMatch) nameVersions.push(nameMatch[1]);
+            try {
+                const jar = await JSZip.loadAsync(await zip.file(path).async('uint8array'));
+                const metadata = await extractor.parseMetadata(jar, name);
+                if (loader) jarLoaders.push(metadata.loaders);
+                if (version) {
+                    metadata.mods.forEach(m => {
+                        if (m.depends && m.depends.minecraft) ranges.push(m.depends.minecraft);
+                    });
+                }
+            } catch (e) {
+                MergeLog.warn(`Could not read ${name} while detecting the pack's loader: ${e.message}`);
+            }
+        }
+
+        return {
+            ver: version ? this.pickMinecraftVersion(ranges, nameVersions, baseVersion) : null,
+            loader: loader ? LoaderCompatibility.detect(jarLoaders) : null
+        };
+    }
+
+    static pickMinecraftVersion(ranges, nameVersions, baseVersion = null) {
+        if (baseVersion && ranges.length > 0 && ranges.every(range => VersionComparator.satisfies(baseVersion, range))) return baseVersion;
+
+        const tokens = ranges.flatMap(range => (Array.isArray(range) ? range.join(' ') : String(range)).match(/\d+\.\d+(?:\.\d+)?/g) || []);
+        const candidates = [...new Set([...tokens, ...nameVersions])];
+        if (candidates.length === 0) return null;
+
+        const score = (candidate) => ({
+            satisfied: ranges.filter(range => VersionComparator.satisfies(candidate, range)).length,
+            named: nameVersions.filter(v => v === candidate).length,
+            parts: candidate.split('.').length
+        });
+        return candidates
+            .map(candidate => ({ candidate, ...score(candidate) }))
+            .sort((a, b) => b.satisfied - a.satisfied || b.named - a.named || b.parts - a.parts || VersionComparator.compare(b.candidate, a.candidate))[0]
+            .candidate;
+    }
+
+    static resolveOverrides(zip, folder, pId, pName) {
+        const prefix = `${folder.replace(/\/+$/, '')}/`;
+        const files = [];
+        for (let path in zip.files) {
+            if (path.startsWith(prefix) && !zip.files[path].dir) {
+                const relPath = path.slice(prefix.length);
+                files.push({
+                    path: relPath,
+                    fileName: relPath.split('/').pop(),
+                    pId, pName,
+                    enabled: true,
+                    category: this.getCategory(relPath),
+                    isStandard: true,
+                    _entry: zip.files[path]
+                });
+            }
+        }
+        return files;
+    }
+
+    static async resolve(zip, pId, pName) {
+        const files = [];
+        const entries = Object.keys(zip.files);
+        for (const path of entries) {
+            const entry = zip.files[path];
+            if (entry.dir) continue;
+
+            files.push({
+                path: path,
+                fileName: path.split('/').pop(),
+                pId, pName,
+                enabled: true,
+                category: this.getCategory(path),
+                isStandard: true,
+                _entry: entry
+            });
+        }
+        return files;
+    }
+}
+
+class PrismInstanceResolver {
+    static LOADER_COMPONENTS = {
+        fabric: 'net.fabricmc.fabric-loader',
+        quilt: 'org.quiltmc.quilt-loader',
+        forge: 'net.minecraftforge',
+        neoforge: 'net.neoforged',
+        liteloader: 'com.mumfrey.liteloader'
+    };
+
+    static findRoot(zip) {
+        const candidates = Object.keys(zip.files)
+            .filter(p => p === 'mmc-pack.json' || p.endsWith('/mmc-pack.json'))
+            .sort((a, b) => a.split('/').length - b.split('/').length);
+        return candidates.length > 0 ? candidates[0].slice(0, -'mmc-pack.json'.length) : null;
+    }
+
+    static async readInstance(zip) {
+        const root = this.findRoot(zip);
+        if (root === null) return null;
+
+        try {
+            const mmcPack = JSON.parse(await zip.file(`${root}mmc-pack.json`).async('string'));
+            const config = {};
+            const cfgEntry = zip.file(`${root}instance.cfg`);
+            if (cfgEntry) {
+                for (const line of (await cfgEntry.async('string')).split(/\r?\n/)) {
+                    const idx = line.indexOf('=');
+                    if (idx > 0) config[line.slice(0, idx).trim()] = line.slice(idx + 1).trim();
+                }
+            }
+
+            const gameDir = ['.minecraft', 'minecraft'].find(dir => Object.keys(zip.files).some(p => p.startsWith(`${root}${dir}/`)));
+            return { root, mmcPack, config, gameDir: gameDir ? `${root}${gameDir}` : null };
+        } catch (e) {
+            MergeLog.error(`Failed to read Prism instance: ${e.message}`);
+            return null;
+        }
+    }
+
+    static detectMetadata(mmcPack) {
+        const components = Array.isArray(mmcPack.components) ? mmcPack.components : [];
+        const minecraft = components.find(c => c.uid === 'net.minecraft');
+
+        let loader = null;
+        let loaderVersion = null;
+        for (const [name, uid] of Object.entries(this.LOADER_COMPONENTS)) {
+            const component = components.find(c => c.uid === uid);
+            if (component) {
+                loader = name;
+                loaderVersion = component.version || null;
+                break;
+            }
+        }
+        return { ver: minecraft ? minecraft.version : null, loader, loaderVersion };
+    }
+
+    static resolve(zip, instance, pId, pName) {
+        if (!instance.gameDir) return [];
+        return StandardPackResolver.resolveOverrides(zip, instance.gameDir, pId, pName);
+    }
+
+    static createInstanceFiles({ name, ver, loader, loaderVersion }) {
+        const components = [{ uid: 'net.minecraft', version: ver, important: true }];
+        if ((loader === 'fabric' || loader === 'quilt') && ver) {
+            components.push({ uid: 'net.fabricmc.intermediary', version: ver, dependencyOnly: true });
+        }
+
+        const loaderUid = this.LOADER_COMPONENTS[loader];
+        if (loaderUid) {
+            if (!loaderVersion) MergeLog.warn(`No ${loader} version known; Prism will ask for one on first launch.`);
+            components.push(loaderVersion ? { uid: loaderUid, version: loaderVersion } : { uid: loaderUid });
+        }
+
+        const mmcPack = { components, formatVersion: 1 };
+        const instanceCfg = [
+            '[General]',
+            'ConfigVersion=1.2',
+            'InstanceType=OneSix',
+            'iconKey=default',
+            `name=${name}`,
+            ''
+        ].join('\n');
+
+        return [
+            { path: 'mmc-pack.json', data: new TextEncoder().encode(JSON.stringify(mmcPack, null, 4)) },
+            { path: 'instance.cfg', data: new TextEncoder().encode(instanceCfg) }
+        ];
+    }
+}
+
+class PackwizResolver {
+    static LOADER_KEYS = ['fabric', 'quilt', 'forge', 'neoforge', 'liteloader'];
+
+    static async readPack(zip) {
+        const candidates = Object.keys(zip.files)
+            .filter(p => p === 'pack.toml' || p.endsWith('/pack.toml'))
+            .sort((a, b) => a.split('/').length - b.split('/').length);
+        if (candidates.length === 0) return null;
+
+        try {
+            const root = candidates[0].slice(0, -'pack.toml'.length);
+            const pack = TomlParser.parse(await zip.file(candidates[0]).async('string'));
+            if (!pack.index || !pack.index.file) return null;
+
+            const indexEntry = zip.file(`${root}${pack.index.file}`);
+            const index = indexEntry ? TomlParser.parse(await indexEntry.async('string')) : { files: [] };
+            return { root, pack, index };
+        } catch (e) {
+            MergeLog.error(`Failed to read packwiz pack: ${e.message}`);
+            return null;
+        }
+    }
+
+    static detectMetadata(pack) {
+        const versions = pack.versions || {};
+        const loader = this.LOADER_KEYS.find(key => versions[key]) || null;
+        return { ver: versions.minecraft || null, loader, loaderVersion: loader ? versions[loader] : null };
+    }
+
+    static async resolve(zip, packwiz, pId, pName) {
+        const { root, index } = packwiz;
+        const indexDir = packwiz.pack.index.file.includes('/') ? packwiz.pack.index.file.replace(/[^/]*$/, '') : '';
+        const entries = Array.isArray(index.files) ? index.files : [];
+        const files = [];
+        const curseforgeOnly = [];
+
+        for (const entry of entries) {
+            const relPath = `${indexDir}${entry.file}`;
+            const zipEntry = zip.file(`${root}${relPath}`);
+            if (!zipEntry) {
+                MergeLog.warn(`packwiz index lists missing file "${relPath}"`);
+                continue;
+            }
+
+            if (!entry.metafile && !relPath.endsWith('.pw.toml')) {
+                files.push({
+                    path: relPath,
+                    fileName: relPath.split('/').pop(),
+                    pId, pName,
+                    enabled: true,
+                    category: StandardPackResolver.getCategory(relPath),
+                    isStandard: true,
+                    _entry: zipEntry
+                });
+                continue;
+            }
+
+            const meta = TomlParser.parse(await zipEntry.async('string'));
+            const download = meta.download || {};
+            const dir = relPath.includes('/') ? relPath.replace(/[^/]*$/, '') : '';
+            const path = `${dir}${meta.filename}`;
+            const hashes = download.hash ? { [download['hash-format'] || 'sha256']: download.hash } : {};
+            const cfUpdate = meta.update && meta.update.curseforge;
+            const side = meta.side || 'both';
+
+            const file = {
+                path,
+                fileName: meta.filename,
+                pId, pName,
+                enabled: true,
+                category: StandardPackResolver.getCategory(path),
+                isStandard: false,
+                downloads: download.url ? [download.url] : [],
+                hashes,
+                side,
+                curseforge: cfUpdate ? { projectID: cfUpdate['project-id'], fileID: cfUpdate['file-id'] } : undefined
+            };
+
+            if (file.downloads.length === 0 && file.curseforge) curseforgeOnly.push(file);
+            files.push(file);
+        }
+
+        await this.resolveOriginals(files.filter(f => !f.isStandard && f.downloads.length > 0));
+
+        if (curseforgeOnly.length > 0) {
+            try {
+                const remoteFiles = await CurseForgeResolver.fetchFiles(curseforgeOnly.map(f => f.curseforge.fileID));
+                curseforgeOnly.forEach(f => {
+                    const remote = remoteFiles.get(f.curseforge.fileID);
+                    if (!remote) return;
+                    const url = CurseForgeResolver.downloadUrl(remote);
+                    if (url) f.downloads = [url];
+                    else CurseForgeResolver.markDistributionDisabled(f);
+                });
+            } catch (err) {
+                MergeLog.error(`CurseForge lookup failed: ${err.message}`);
+            }
+        }
+
+        return files;
+    }
+
+    static async resolveOriginals(files) {
+        for (const algorithm of ['sha1', 'sha512']) {
+            const pending = files.filter(f => !f._original && f.hashes[algorithm]);
+            if (pending.length === 0) continue;
+            try {
+                const versions = await ModrinthClient.getVersionsByHashes(pending.map(f => f.hashes[algorithm].toLowerCase()), algorithm);
+                for (const file of pending) {
+                    const hash = file.hashes[algorithm].toLowerCase();
+                    const version = versions[hash];
+                    const remote = version && (version.files || []).find(f => f.hashes && f.hashes[algorithm] === hash);
+                    if (remote) this.setOriginal(file, remote.hashes, remote.size);
+                }
+            } catch (err) {
+                MergeLog.warn(`Modrinth hash lookup failed: ${err.message}`);
+            }
+        }
+
+        for (const file of files.filter(f => !f._original)) {
+            try {
+                const data = await FileDownloader.download(file.downloads[0]);
+                const sha1 = await HashUtil.digest('SHA-1', data);
+                const sha512 = await HashUtil.digest('SHA-512', data);
+                this.setOriginal(file, { sha1, sha512 }, data.length);
+            } catch (err) {
+                MergeLog.warn(`Could not hash ${file.fileName} (${err.message}); it will be embedded instead of referenced.`);
+            }
+        }
+    }
+
+    static setOriginal(file, hashes, fileSize) {
+        file.hashes = { ...file.hashes, sha1: hashes.sha1, sha512: hashes.sha512 };
+        file.fileSize = fileSize;
+        file._original = {
+            path: file.path,
+            hashes: { sha1: hashes.sha1, sha512: hashes.sha512 },
+            env: EnvironmentResolver.toEnv(file.side),
+            downloads: file.downloads,
+            fileSize
+        };
+    }
+
+    static metafileName(file, taken) {
+        const dir = file.path.includes('/') ? file.path.replace(/[^/]*$/, '') : '';
+        const base = file.fileName.replace(/\.(jar|zip|litemod)$/i, '').toLowerCase().replace(/[^a-z0-9_-]+/g, '-');
+        let name = `${dir}${base}.pw.toml`;
+        for (let i = 2; taken.has(name); i++) name = `${dir}${base}-${i}.pw.toml`;
+        taken.add(name);
+        return name;
+    }
+
+    static async createMetafile(file, readFile) {
+        const hashes = file.hashes || (file._original && file._original.hashes) || {};
+        const download = file.distributionDisabled ? { mode: 'metadata:curseforge' } : { url: file.downloads[0] };
+        const format = ['sha512', 'sha256', 'sha1'].find(algo => hashes[algo]);
+        if (format) {
+            download['hash-format'] = format;
+            download.hash = hashes[format];
+        } else if (!file.distributionDisabled) {
+            download['hash-format'] = 'sha256';
+            download.hash = await HashUtil.digest('SHA-256', await readFile(file));
+        }
+
+        const meta = {
+            name: file.fileName.replace(/\.(jar|zip|litemod)$/i, ''),
+            filename: file.fileName,
+            side: file.side || 'both',
+            download
+        };
+
+        const projectKey = ConflictResolver.projectKey(file);
+        if (file.curseforge) {
+            meta.update = { curseforge: { 'file-id': file.curseforge.fileID, 'project-id': file.curseforge.projectID } };
+        } else if (projectKey && projectKey.startsWith('modrinth:')) {
+            const versionMatch = file.downloads[0].match(/\/versions\/([A-Za-z0-9]+)\//);
+            meta.update = { modrinth: { 'mod-id': projectKey.split(':')[1], version: versionMatch ? versionMatch[1] : '' } };
+        }
+        return TomlParser.stringify(meta);
+    }
+
+    static async createPackFiles({ name, version, ver, loader, loaderVersion, plainFiles, remoteFiles, readFile }) {
+        const encoder = new TextEncoder();
+        const output = [];
+        const indexFiles = [];
+        const taken = new Set(plainFiles.map(f => f.path));
+
+        for (const f of plainFiles) {
+            indexFiles.push({ file: f.path, hash: await HashUtil.digest('SHA-256', f.data) });
+        }
+
+        for (const file of remoteFiles) {
+            const path = this.metafileName(file, taken);
+            const data = encoder.encode(await this.createMetafile(file, readFile));
+            output.push({ path, data });
+            indexFiles.push({ file: path, hash: await HashUtil.digest('SHA-256', data), metafile: true });
+        }
+
+        indexFiles.sort((a, b) => a.file.localeCompare(b.file));
+        const indexData = encoder.encode(TomlParser.stringify({ 'hash-format': 'sha256', files: indexFiles }));
+        output.push({ path: 'index.toml', data: indexData });
+
+        const versions = { minecraft: ver };
+        if (this.LOADER_KEYS.includes(loader) && loaderVersion) versions[loader] = loaderVersion;
+
+        const pack = {
+            name,
+            version,
+            'pack-format': 'packwiz:1.1.0',
+            index: { file: 'index.toml', 'hash-format': 'sha256', hash: await HashUtil.digest('SHA-256', indexData) },
+            versions
+        };
+        output.push({ path: 'pack.toml', data: encoder.encode(TomlParser.stringify(pack)) });
+        return output;
+    }
+}
+
+class CurseForgeResolver {
+    static baseUrl = 'https://api.curseforge.com';
+    static apiKey = '';
+    static CLASS_FOLDERS = { 6: 'mods', 12: 'resourcepacks', 6552: 'shaderpacks' };
+
+    static configure({ baseUrl, apiKey } = {}) {
+        if (baseUrl !== undefined) this.baseUrl = (baseUrl || 'https://api.curseforge.com').replace(/\/+$/, '');
+        if (apiKey !== undefined) this.apiKey = apiKey;
+    }
+
+    static async readManifest(zip) {
+        const entry = zip.file('manifest.json');
+        if (!entry) return null;
+        try {
+            const data = JSON.parse(await entry.async('string'));
+            if (data.manifestType !== 'minecraftModpack' || !Array.isArray(data.files)) return null;
+            return data;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    static detectMetadata(manifest) {
+        const minecraft = manifest.minecraft || {};
+        const loaders = Array.isArray(minecraft.modLoaders) ? minecraft.modLoaders : [];
+        const primary = loaders.find(l => l.primary) || loaders[0];
+
+        let loader = null;
+        let loaderVersion = null;
+        if (primary && primary.id) {
+            const idx = primary.id.indexOf('-');
+            loader = idx === -1 ? primary.id : primary.id.slice(0, idx);
+            loaderVersion = idx === -1 ? null : primary.id.slice(idx + 1);
+        }
+        return { ver: minecraft.version || null, loader, loaderVersion };
+    }
+
+    static async request(path, body) {
+        const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json' };
+        if (this.apiKey) headers['x-api-key'] = this.apiKey;
+
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            method: body ? 'POST' : 'GET',
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        if (!response.ok) throw new Error(`CurseForge API returned HTTP ${response.status} for ${path}`);
+        return (await response.json()).data;
+    }
+
+    static async fetchFiles(fileIds) {
+        const results = new Map();
+        const batchSize = 50;
+        for (let i = 0; i < fileIds.length; i += batchSize) {
+            const batch = fileIds.slice(i, i + batchSize);
+            const files = await this.request('/v1/mods/files', { fileIds: batch });
+            (files || []).forEach(f => results.set(f.id, f));
+        }
+        return results;
+    }
+
+    static async fetchClasses(projectIds) {
+        const classes = new Map();
+        const batchSize = 50;
+        for (let i = 0; i < projectIds.length; i += batchSize) {
+            const batch = projectIds.slice(i, i + batchSize);
+            const mods = await this.request('/v1/mods', { modIds: batch });
+            (mods || []).forEach(mod => classes.set(mod.id, mod.classId));
+        }
+        return classes;
+    }
+
+    static downloadUrl(file) {
+        return file.downloadUrl || null;
+    }
+
+    static markDistributionDisabled(file) {
+        file.downloads = [];
+        file.distributionDisabled = true;
+    }
+
+    static async resolve(zip, manifest, pId, pName) {
+        const entries = manifest.files.filter(f => f && f.projectID && f.fileID);
+
+        let remoteFiles = new Map();
+        try {
+            remoteFiles = await this.fetchFiles(entries.map(f => f.fileID));
+        } catch (err) {
+            MergeLog.error(`CurseForge lookup failed: ${err.message}. Configure the API endpoint or key and reload the pack.`);
+        }
+
+        let classes = new Map();
+        if (remoteFiles.size > 0) {
+            try {
+                classes = await this.fetchClasses([...new Set(entries.map(f => f.projectID))]);
+            } catch (err) {
+                MergeLog.warn(`Could not look up CurseForge project types (${err.message}); placing files by extension.`);
+            }
+        }
+
+        const files = entries.map(entry => {
+            const remote = remoteFiles.get(entry.fileID);
+            const curseforge = { projectID: entry.projectID, fileID: entry.fileID };
+
+            if (!remote) {
+                const fileName = `${entry.projectID}-${entry.fileID}.jar`;
+                return {
+                    path: `mods/${fileName}`,
+                    fileName,
+                    pId, pName,
+                    enabled: false,
+                    category: 'mods',
+                    isStandard: false,
+                    downloads: [],
+                    curseforge,
+                    conflictReason: 'Could not resolve CurseForge file'
+                };
+            }
+
+            const sha1 = (remote.hashes || []).find(h => h.algo === 1);
+            const path = `${this.folderFor(remote.fileName, classes.get(entry.projectID))}/${remote.fileName}`;
+            const url = this.downloadUrl(remote);
+            const file = {
+                path,
+                fileName: remote.fileName,
+                pId, pName,
+                enabled: entry.required !== false,
+                category: StandardPackResolver.getCategory(path),
+                isStandard: false,
+                downloads: url ? [url] : [],
+                hashes: sha1 ? { sha1: sha1.value } : {},
+                fileSize: remote.fileLength,
+                curseforge
+            };
+            if (!url) this.markDistributionDisabled(file);
+            return file;
+        });
+
+        const overridesFolder = manifest.overrides || 'overrides';
+        files.push(...StandardPackResolver.resolveOverrides(zip, overridesFolder, pId, pName));
+        return files;
+    }
+
+    static folderFor(fileName, classId = null) {
+        if (this.CLASS_FOLDERS[classId]) return this.CLASS_FOLDERS[classId];
+        const lower = fileName.toLowerCase();
+        if (lower.endsWith('.jar') || lower.endsWith('.litemod')) return 'mods';
+        return 'resourcepacks';
+    }
+}
+
+class PackDiff {
+    static modKeys(file) {
+        const keys = [];
+        for (const mod of (file.metadata && file.metadata.mods) || []) {
+            if (mod.id && mod.id !== 'unknown' && mod.id !== 'parse_error' && mod.id !== file.fileName) keys.push(`mod:${mod.id}`);
+        }
+        const project = ConflictResolver.projectKey(file);
+        if (project) keys.push(project);
+        keys.push(`slug:${ConflictResolver.extractModSlug(file.fileName)}`);
+        return keys;
+    }
+
+    static describe(file) {
+        const mod = ((file.metadata && file.metadata.mods) || []).find(m => m.id && m.id !== 'unknown' && m.id !== 'parse_error' && m.id !== file.fileName);
+        if (mod && mod.version && mod.version !== 'unknown') return { name: mod.name || mod.id, version: mod.version };
+
+        const slug = ConflictResolver.extractModSlug(file.fileName);
+        const fileVersion = file.fileName.replace(/\.jar$/i, '').slice(slug.length).replace(/^[-+_]/, '');
+        return { name: mod ? (mod.name || mod.id) : slug, version: fileVersion || file.fileName };
+    }
+
+    static async sameContent(a, b) {
+        const hashes = ConflictResolver.hashKeys(a);
+        if (hashes.length > 0 && ConflictResolver.hashKeys(b).length > 0) {
+            return ConflictResolver.hashKeys(b).some(key => hashes.includes(key));
+        }
+        if (a.curseforge && b.curseforge) return a.curseforge.fileID === b.curseforge.fileID;
+        if (a.isStandard && b.isStandard) {
+            const [left, right] = await Promise.all([a._entry.async('uint8array'), b._entry.async('uint8array')]);
+            return left.length === right.length && left.every((byte, i) => byte === right[i]);
+        }
+        return !!(a.downloads && b.downloads && a.downloads[0] === b.downloads[0]);
+    }
+
+    static async compute(oldFiles, newFiles) {
+        const diff = { added: [], removed: [], updated: [], unchanged: [], configs: { added: [], removed: [], changed: [] } };
+        const remaining = new Set(oldFiles);
+
+        const pairs = [];
+        const unpaired = [];
+        for (const file of newFiles) {
+            let match = [...remaining].find(old => old.path === file.path);
+            if (!match && file.category === 'mods') {
+                const keys = this.modKeys(file);
+                match = [...remaining].find(old => old.category === 'mods' && this.modKeys(old).some(key => keys.includes(key)));
+            }
+            if (match) {
+                remaining.delete(match);
+                pairs.push([match, file]);
+            } else {
+                unpaired.push(file);
+            }
+        }
+
+        for (const [before, after] of pairs) {
+            if (await this.sameContent(before, after)) {
+                diff.unchanged.push([before, after]);
+            } else if (after.category === 'mods') {
+                diff.updated.push({ name: this.describe(after).name, from: this.describe(before).version, to: this.describe(after).version, before, after });
+            } else if (after.category === 'configs') {
+                diff.configs.changed.push(after.path);
+            }
+        }
+
+        unpaired.forEach(file => {
+            if (file.category === 'mods') diff.added.push({ ...this.describe(file), file });
+            else if (file.category === 'configs') diff.configs.added.push(file.path);
+        });
+        remaining.forEach(file => {
+            if (file.category === 'mods') diff.removed.push({ ...this.describe(file), file });
+            else if (file.category === 'configs') diff.configs.removed.push(file.path);
+        });
+        return diff;
+    }
+}
+
+class MergeRecipe {
+    static FORMAT_VERSION = 1;
+
+    static packVersion(pack) {
+        const metadata = pack.metadata || {};
+        if (pack.type === 'modrinth') return metadata.versionId || null;
+        if (pack.type === 'curseforge' || pack.type === 'packwiz') return metadata.version || null;
+        return null;
+    }
+
+    static packStem(name) {
+        const base = String(name || '').replace(/\.(zip|mrpack)$/i, '');
+        const match = base.match(/^(.*?)[-_+ ]v?\d+(?:\.\d+)+/i);
+        return (match ? match[1] : base).toLowerCase().trim();
+    }
+
+    static samePack(name, other) {
+        return name === other || this.packStem(name) === this.packStem(other);
+    }
+
+    static findPack(name, packs, exclude = []) {
+        const available = packs.filter(p => !exclude.includes(p));
+        return available.find(p => p.name === name) || available.find(p => this.samePack(p.name, name)) || null;
+    }
+
+    static fileIdentity(file) {
+        const identity = { path: file.path, fileName: file.fileName };
+        const modId = file.metadata && file.metadata.mods && file.metadata.mods[0] && file.metadata.mods[0].id;
+        if (modId && modId !== 'unknown' && modId !== 'parse_error' && modId !== file.fileName) identity.modId = modId;
+        const hash = ConflictResolver.hashKeys(file)[0];
+        if (hash) identity.hash = hash;
+        const project = ConflictResolver.projectKey(file);
+        if (project) identity.project = project;
+        return identity;
+    }
+
+    static create({ packs, files, overrides, merges, name, version }) {
+        const packName = (pId) => {
+            const pack = packs.find(p => p.id === pId);
+            return pack ? pack.name : null;
+        };
+
+        const decisions = [];
+        for (const [key, enabled] of overrides) {
+            const file = files.find(f => `${f.pId}:${f.path}` === key);
+            if (file) decisions.push({ pack: file.pName, ...this.fileIdentity(file), enabled });
+        }
+
+        const configChoices = [];
+        for (const [path, merge] of merges) {
+            const snapshot = ConfigMerger.snapshot(merge);
+            const choices = Object.entries(snapshot.choices).map(([keyPath, pId]) => ({ keyPath, pack: packName(pId) }));
+            const servers = snapshot.format === 'servers' && (snapshot.removed.length > 0 || snapshot.servers.length > 0);
+            if (choices.length === 0 && !servers) continue;
+            configChoices.push({ path, format: snapshot.format, choices, servers: snapshot.servers, removed: snapshot.removed });
+        }
+
+        return {
+            formatVersion: this.FORMAT_VERSION,
+            output: { name, version },
+            packs: packs.map(p => ({ name: p.name, version: this.packVersion(p), minecraft: p.ver, loader: p.loader })),
+            overrides: decisions,
+            configChoices
+        };
+    }
+
+    static validate(recipe) {
+        if (!recipe || recipe.formatVersion !== this.FORMAT_VERSION || !Array.isArray(recipe.packs)) {
+            throw new Error('Not a merge recipe (unsupported formatVersion)');
+        }
+        return recipe;
+    }
+
+    static matchPacks(recipe, packs) {
+        const ordered = [];
+        const missing = [];
+        const updated = [];
+        for (const entry of recipe.packs) {
+            const pack = this.findPack(entry.name, packs, ordered);
+            if (!pack) {
+                missing.push(entry);
+                continue;
+            }
+            ordered.push(pack);
+            const version = this.packVersion(pack);
+            if (entry.version && version && entry.version !== version) updated.push({ entry, version });
+            else if (pack.name !== entry.name) updated.push({ entry, version: pack.name });
+        }
+        const extra = packs.filter(p => !ordered.includes(p));
+        return { order: [...ordered, ...extra], missing, updated, extra };
+    }
+
+    static findFile(entry, files) {
+        const exact = files.filter(f => f.pName === entry.pack);
+        const candidates = exact.length > 0 ? exact : files.filter(f => this.samePack(f.pName, entry.pack));
+        const checks = [
+            f => entry.hash && ConflictResolver.hashKeys(f).includes(entry.hash),
+            f => entry.modId && f.metadata && f.metadata.mods && f.metadata.mods.some(m => m.id === entry.modId),
+            f => entry.project && ConflictResolver.projectKey(f) === entry.project,
+            f => f.path === entry.path
+        ];
+        for (const check of checks) {
+            const match = candidates.find(check);
+            if (match) return match;
+        }
+        return null;
+    }
+
+    static resolveOverrides(recipe, files) {
+        const overrides = new Map();
+        const unmatched = [];
+        for (const entry of recipe.overrides || []) {
+            const file = this.findFile(entry, files);
+            if (file) overrides.set(`${file.pId}:${file.path}`, entry.enabled);
+            else unmatched.push(entry);
+        }
+        return { overrides, unmatched };
+    }
+
+    static resolveConfigChoices(recipe, packs) {
+        const snapshots = new Map();
+        for (const entry of recipe.configChoices || []) {
+            const choices = {};
+            for (const choice of entry.choices) {
+                const pack = this.findPack(choice.pack, packs);
+                if (pack) choices[choice.keyPath] = pack.id;
+            }
+            snapshots.set(entry.path, { format: entry.format, choices, servers: entry.servers || [], removed: entry.removed || [] });
+        }
+        return snapshots;
+    }
+
+    static unmatchedConfigChoices(recipe, merges) {
+        const unmatched = [];
+        for (const entry of recipe.configChoices || []) {
+            const merge = merges.get(entry.path);
+            for (const choice of entry.choices) {
+                const conflict = merge && Array.isArray(merge.conflicts) && merge.conflicts.find(c => c.keyPath.join('.') === choice.keyPath);
+                const applied = conflict && this.samePack(merge.sources[conflict.options[conflict.choice].source].file.pName, choice.pack);
+                if (!applied) unmatched.push({ path: entry.path, ...choice });
+            }
+        }
+        return unmatched;
+    }
+}
+
+class ModrinthError extends Error {
+    constructor(message, { status = null, url = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.url = url;
+    }
+}
+
+class ModrinthNetworkError extends ModrinthError {}
+class ModrinthNotFoundError extends ModrinthError {}
+class ModrinthRateLimitError extends ModrinthError {}
+
+class ModrinthClient {
+    static baseUrl = 'https://api.modrinth.com';
+    static userAgent = 'tanishisherewithhh/Modpack-merger (https://github.com/tanishisherewithhh/Modpack-merger)';
+    static maxRetries = 3;
+    static cacheTtl = 5 * 60 * 1000;
+    static cache = new Map();
+    static rateLimit = { remaining: null, resetAt: 0 };
+
+    static configure({ baseUrl, userAgent } = {}) {
+        if (baseUrl !== undefined) this.baseUrl = (baseUrl || 'https://api.modrinth.com').replace(/\/+$/, '');
+        if (userAgent) this.userAgent = userAgent;
+        this.cache.clear();
+    }
+
+    static sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    static backoff(attempt) {
+        return 500 * 2 ** attempt;
+    }
+
+    static updateRateLimit(response) {
+        const remaining = response.headers.get('X-Ratelimit-Remaining');
+        const reset = response.headers.get('X-Ratelimit-Reset');
+        if (remaining !== null) this.rateLimit.remaining = Number(remaining);
+        if (reset !== null) this.rateLimit.resetAt = Date.now() + Number(reset) * 1000;
+    }
+
+    static async waitForRateLimit() {
+        const wait = this.rateLimit.resetAt - Date.now();
+        if (this.rateLimit.remaining !== 0 || wait <= 0) return;
+        MergeLog.warn(`Modrinth rate limit reached, waiting ${Math.ceil(wait / 1000)}s...`);
+        await this.sleep(wait);
+        this.rateLimit.remaining = null;
+    }
+
+    static errorFor(response, url) {
+        const info = { status: response.status, url };
+        if (response.status === 404) return new ModrinthNotFoundError(`Not found: ${url}`, info);
+        if (response.status === 429) return new ModrinthRateLimitError(`Rate limited after ${this.maxRetries} retries: ${url}`, info);
+        return new ModrinthError(`HTTP Error: ${response.status} for ${url}`, info);
+    }
+
+    static async send(url, options = {}) {
+        const headers = { 'User-Agent': this.userAgent, ...(options.headers || {}) };
+        for (let attempt = 0; ; attempt++) {
+            await this.waitForRateLimit();
+
+            let response;
+            try {
+                response = await fetch(url, { ...options, headers });
+            } catch (err) {
+                if (attempt < this.maxRetries) {
+                    await this.sleep(this.backoff(attempt));
+                    continue;
+                }
+                throw new ModrinthNetworkError(`Network error for ${url}: ${err.message}`, { url });
+            }
+
+            this.updateRateLimit(response);
+            if (response.ok) return response;
+
+            const retryable = response.status === 429 || response.status >= 500;
+            if (!retryable || attempt >= this.maxRetries) throw this.errorFor(response, url);
+
+            const waitsForReset = response.status === 429 && this.rateLimit.remaining === 0 && this.rateLimit.resetAt > Date.now();
+            if (!waitsForReset) await this.sleep(this.backoff(attempt));
+        }
+    }
+
+    static async request(path, { method = 'GET', query = null, body = null } = {}) {
+        const params = new URLSearchParams();
+        Object.entries(query || {}).forEach(([key, value]) => {
+            if (value === undefined || value === null) return;
+            params.set(key, typeof value === 'string' ? value : JSON.stringify(value));
+        });
+        const search = params.toString();
+        const url = `${this.baseUrl}${path}${search ? `?${search}` : ''}`;
+        const payload = body ? JSON.stringify(body) : undefined;
+
+        const key = `${method} ${url} ${payload || ''}`;
+        const cached = this.cache.get(key);
+        if (cached && cached.expires > Date.now()) return cached.promise;
+
+        const promise = this.send(url, {
+            method,
+            headers: payload ? { 'Content-Type': 'application/json' } : {},
+            body: payload
+        }).then(response => response.json());
+        this.cache.set(key, { expires: Date.now() + this.cacheTtl, promise });
+        promise.catch(() => this.cache.delete(key));
+        return promise;
+    }
+
+    static async download(url) {
+        const response = await this.send(url);
+        return new Uint8Array(await response.arrayBuffer());
+    }
+
+    static search(query, facets) {
+        return this.request('/v2/search', { query: { query, facets } });
+    }
+
+    static getProject(idOrSlug) {
+        return this.request(`/v2/project/${encodeURIComponent(idOrSlug)}`);
+    }
+
+    static getVersion(versionId) {
+        return this.request(`/v2/version/${encodeURIComponent(versionId)}`);
+    }
+
+    static getVersionsByHashes(hashes, algorithm = 'sha1') {
+        return this.request('/v2/version_files', { method: 'POST', body: { hashes, algorithm } });
+    }
+
+    static getLatestVersionsByHashes(hashes, { algorithm = 'sha1', loaders, gameVersions } = {}) {
+        return this.request('/v2/version_files/update', {
+            method: 'POST',
+            body: { hashes, algorithm, loaders, game_versions: gameVersions }
+        });
+    }
+
+    static getProjectVersions(projectId, { loaders, gameVersions } = {}) {
+        return this.request(`/v2/project/${encodeURIComponent(projectId)}/version`, {
+            query: { loaders, game_versions: gameVersions }
+        });
+    }
+}
+
+class FileDownloader {
+    static maxRetries = 3;
+
+    static isModrinthUrl(url) {
+        try {
+            const host = new URL(url).hostname;
+            return host === 'modrinth.com' || host.endsWith('.modrinth.com') || host === new URL(ModrinthClient.baseUrl).hostname;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    static async download(url) {
+        if (this.isModrinthUrl(url)) return ModrinthClient.download(url);
+
+        for (let attempt = 0; ; attempt++) {
+            let response;
+            try {
+                response = await fetch(url);
+            } catch (err) {
+                if (attempt < this.maxRetries) {
+                    await ModrinthClient.sleep(500 * 2 ** attempt);
+                    continue;
+                }
+                throw new Error(`Network error for ${url}: ${err.message}`);
+            }
+
+            if (response.ok) return new Uint8Array(await response.arrayBuffer());
+            if (response.status < 500 || attempt >= this.maxRetries) throw new Error(`HTTP Error: ${response.status} for ${url}`);
+            await ModrinthClient.sleep(500 * 2 ** attempt);
+        }
+    }
+}
+
+class ModrinthResolver {
+    static projectIdFromUrl(url) {
+        const match = /\/data\/([A-Za-z0-9]+)\/versions\//.exec(url || '');
+        return match ? match[1] : null;
+    }
+
+    static primaryFile(version) {
+        return version.files.find(f => f.primary) || version.files[0];
+    }
+
+    static slugFor(modId) {
+        return String(modId).toLowerCase().replace(/_/g, '-');
+    }
+
+    static async findProject(modId) {
+        const candidates = [...new Set([modId, this.slugFor(modId)])];
+        for (const candidate of candidates) {
+            try {
+                return await ModrinthClient.getProject(candidate);
+            } catch (e) {
+                if (!(e instanceof ModrinthNotFoundError)) throw e;
+            }
+        }
+        return null;
+    }
+
+    static async findVersion(project, range, mcVersion, loader) {
+        const versions = await ModrinthClient.getProjectVersions(project.id, { loaders: [loader], gameVersions: [mcVersion] });
+        return versions.find(v => VersionComparator.satisfies(v.version_number, range)) || null;
+    }
+
+    static toFix(project, version, requiredBy) {
+        const file = this.primaryFile(version);
+        return {
+            projectId: project.id,
+            slug: project.slug,
+            title: project.title,
+            versionId: version.id,
+            versionNumber: version.version_number,
+            fileName: file.filename,
+            url: file.url,
+            size: file.size,
+            hashes: file.hashes,
+            env: EnvironmentResolver.normalizeEnv(project.client_side, project.server_side),
+            primary: !!file.primary,
+            requiredBy
+        };
+    }
+
+    static async resolveFixes(issues, { mcVersion, loader, presentProjectIds = [], presentModIds = [] }) {
+        const additions = [];
+        const unresolved = [];
+        const fixed = [];
+        const projectIds = new Set(presentProjectIds);
+        const modIds = new Set(presentModIds.map(id => this.slugFor(id)));
+        const queue = issues.map(issue => ({ modId: issue.modId, range: issue.requiredVersion, requiredBy: issue.requiredBy, issue }));
+
+        while (queue.length > 0) {
+            const item = queue.shift();
+            if (item.projectId && (projectIds.has(item.projectId) || additions.some(fix => fix.projectId === item.projectId))) continue;
+            try {
+                let version = item.versionId ? await ModrinthClient.getVersion(item.versionId) : null;
+                const projectId = item.projectId || (version && version.project_id);
+                const project = projectId ? await ModrinthClient.getProject(projectId) : await this.findProject(item.modId);
+                if (!project) {
+                    unresolved.push({ ...item, reason: 'no Modrinth project with that id' });
+                    continue;
+                }
+
+                const replacing = item.issue && item.issue.type === 'outdated';
+                if (additions.some(fix => fix.projectId === project.id)) {
+                    if (item.issue) fixed.push(item.issue);
+                    continue;
+                }
+                if (!replacing && (projectIds.has(project.id) || modIds.has(this.slugFor(project.slug)))) {
+                    if (item.issue) fixed.push(item.issue);
+                    continue;
+                }
+
+                version = version || await this.findVersion(project, item.range, mcVersion, loader);
+                if (!version) {
+                    unresolved.push({ ...item, reason: `no ${loader} ${mcVersion} version${item.range ? ` matching ${VersionComparator.describeRange(item.range)}` : ''}` });
+                    continue;
+                }
+
+                const fix = this.toFix(project, version, item.requiredBy);
+                if (replacing) fix.replaces = item.modId;
+                additions.push(fix);
+                if (item.issue) fixed.push(item.issue);
+
+                (version.dependencies || [])
+                    .filter(dep => dep.dependency_type === 'required' && (dep.project_id || dep.version_id))
+                    .forEach(dep => queue.push({
+                        modId: dep.project_id || dep.version_id,
+                        projectId: dep.project_id,
+                        versionId: dep.version_id,
+                        requiredBy: project.slug
+                    }));
+            } catch (e) {
+                MergeLog.error(`Modrinth lookup for '${item.modId}' failed: ${e.message}`);
+                unresolved.push({ ...item, reason: e.message });
+            }
+        }
+        return { additions, unresolved, fixed };
+    }
+}
+
+class ModUpdater {
+    static changelogUrl(version) {
+        return `https://modrinth.com/mod/${version.project_id}/version/${version.id}`;
+    }
+
+    static async sha1Of(file, extractor) {
+        const hashes = file.hashes || (file._original && file._original.hashes) || {};
+        if (hashes.sha1) return hashes.sha1.toLowerCase();
+
+        let data = null;
+        if (file.isStandard) {
+            data = await file._entry.async('uint8array');
+        } else if (extractor && file.downloads) {
+            const cached = extractor.cache.get(file.downloads[0]);
+            if (cached && cached.data) data = cached.data;
+        }
+        return data ? HashUtil.digest('SHA-1', data) : null;
+    }
+
+    static async lookup(mods, { mcVersion, loader, extractor }) {
+        const byHash = new Map();
+        const unknown = [];
+        for (const file of mods) {
+            let hash = null;
+            try {
+                hash = await this.sha1Of(file, extractor);
+            } catch (e) {
+                MergeLog.warn(`Could not hash ${file.fileName}: ${e.message}`);
+            }
+            if (!hash) unknown.push(file);
+            else byHash.set(hash, [...(byHash.get(hash) || []), file]);
+        }
+
+        const hashes = [...byHash.keys()];
+        if (hashes.length === 0) return { entries: [], unknown };
+
+        const [current, latest] = await Promise.all([
+            ModrinthClient.getVersionsByHashes(hashes),
+            ModrinthClient.getLatestVersionsByHashes(hashes, { loaders: [loader], gameVersions: [mcVersion] })
+        ]);
+
+        const entries = [];
+        for (const [hash, files] of byHash) {
+            if (current[hash]) entries.push({ files, from: current[hash], to: latest[hash] || null });
+            else unknown.push(...files);
+        }
+        return { entries, unknown };
+    }
+
+    static toUpdate(target, from, to) {
+        const file = ModrinthResolver.primaryFile(to);
+        return {
+            file: target,
+            projectId: to.project_id,
+            name: PackDiff.describe(target).name,
+            from: from.version_number,
+            to: to.version_number,
+            versionId: to.id,
+            changelogUrl: this.changelogUrl(to),
+            fileName: file.filename,
+            url: file.url,
+            size: file.size,
+            hashes: file.hashes
+        };
+    }
+
+    static async check(files, { mcVersion, loader, extractor }) {
+        const mods = files.filter(f => f.enabled && f.category === 'mods');
+        const { entries, unknown } = await this.lookup(mods, { mcVersion, loader, extractor });
+
+        const updates = [];
+        const upToDate = [];
+        for (const { files: targets, from, to } of entries) {
+            if (!to || to.id === from.id || Date.parse(to.date_published) <= Date.parse(from.date_published)) {
+                upToDate.push(...targets);
+                continue;
+            }
+            targets.forEach(target => updates.push(this.toUpdate(target, from, to)));
+        }
+        return { updates, upToDate, unknown };
+    }
+
+    static async port(files, { mcVersion, loader, extractor }) {
+        const mods = files.filter(f => f.enabled && f.category === 'mods');
+        const { entries, unknown } = await this.lookup(mods, { mcVersion, loader, extractor });
+
+        const updates = [];
+        const compatible = [];
+        const missing = unknown.map(file => ({ file, reason: 'not found on Modrinth' }));
+        for (const { files: targets, from, to } of entries) {
+            if (!to) {
+                targets.forEach(file => missing.push({ file, reason: `no ${loader} ${mcVersion} version` }));
+            } else if (to.id === from.id || (from.game_versions || []).includes(mcVersion)) {
+                compatible.push(...targets);
+            } else {
+                targets.forEach(target => updates.push(this.toUpdate(target, from, to)));
+            }
+        }
+        return { updates, compatible, missing };
+    }
+
+    static apply(update) {
+        const file = update.file;
+        const dir = file.path.includes('/') ? file.path.slice(0, file.path.lastIndexOf('/') + 1) : '';
+        const path = `${dir}${update.fileName}`;
+        const env = (file._original && file._original.env) || EnvironmentResolver.toEnv(file.side);
+        const hashes = { sha1: update.hashes.sha1, sha512: update.hashes.sha512 };
+
+        file.path = path;
+        file.fileName = update.fileName;
+        file.isStandard = false;
+        file.downloads = [update.url];
+        file.hashes = hashes;
+        file.fileSize = update.size;
+        file._original = { path, hashes, env, downloads: [update.url], fileSize: update.size };
+        delete file._entry;
+        delete file.curseforge;
+        delete file.metadata;
+        return file;
+    }
+}
+
+const EXPORT_FORMATS = {
+    zip: { label: 'Standard ZIP', suffix: '.zip', prefix: '', references: false },
+    mrpack: { label: 'MRPACK', suffix: '.mrpack', prefix: 'overrides/', references: true },
+    curseforge: { label: 'CurseForge ZIP', suffix: '-curseforge.zip', prefix: 'overrides/', references: true },
+    prism: { label: 'Prism Instance', suffix: '-prism.zip', prefix: '.minecraft/', references: false },
+    packwiz: { label: 'packwiz', suffix: '-packwiz.zip', prefix: '', references: true },
+    server: { label: 'Server Pack', suffix: '-server.zip', prefix: '', references: false }
+};
+
+const MODRINTH_LOADER_KEYS = {
+    fabric: 'fabric-loader',
+    quilt: 'quilt-loader',
+    forge: 'forge',
+    neoforge: 'neoforge'
+};
+
+function getLoaderVersion(pack) {
+    if (pack.loaderVersion) return pack.loaderVersion;
+    if (pack.type === 'modrinth' && pack.metadata && pack.metadata.dependencies) {
+        return pack.metadata.dependencies[MODRINTH_LOADER_KEYS[pack.loader]] || null;
+    }
+    return null;
+}
+
+class LoaderVersionResolver {
+    static lowerBound(range) {
+        const text = Array.isArray(range) ? range.join(' ') : String(range);
+        const tokens = (text.match(/\d+(?:\.\d+)+|\d+/g) || []).filter(token => VersionComparator.satisfies(token, range));
+        if (tokens.length === 0) return null;
+        return tokens.sort((a, b) => VersionComparator.compare(a, b))[0];
+    }
+
+    static resolve(packs, modRegistry, override = null) {
+        const base = packs[0];
+        const result = { loader: base ? base.loader : null, version: null, overridden: false, unconfirmed: false, requirements: [], unsatisfied: [] };
+        if (!base || !MODRINTH_LOADER_KEYS[base.loader]) return result;
+
+        packs.filter(p => p.loader === base.loader).forEach(p => {
+            const version = getLoaderVersion(p);
+            if (version) result.requirements.push({ source: p.name, version, range: `>=${version}`, pinned: true });
+        });
+        modRegistry.forEach(data => {
+            if (!data.metadata || !data.metadata.mods) return;
+            data.metadata.mods.forEach(mod => {
+                for (const [depId, range] of Object.entries((mod && mod.depends) || {})) {
+                    if (DependencyValidator.LOADER_DEPENDENCIES[depId.toLowerCase()] !== base.loader) continue;
+                    result.requirements.push({ source: `${mod.id} (${data.fileName})`, version: this.lowerBound(range), range });
+                }
+            });
+        });
+
+        const minimums = result.requirements.map(r => r.version).filter(Boolean);
+        result.overridden = !!override;
+        result.version = override || minimums.sort((a, b) => VersionComparator.compare(b, a))[0] || null;
+        result.unconfirmed = !override && !!result.version && !result.requirements.some(r => r.pinned);
+        if (result.version) {
+            result.unsatisfied = result.requirements.filter(r => !VersionComparator.satisfies(result.version, r.range));
+        }
+        return result;
+    }
+
+    static describe(resolution) {
+        const loader = LoaderCompatibility.label(resolution.loader);
+        if (!resolution.version) return `No ${loader} version is known; set one for the export.`;
+        if (resolution.unconfirmed) {
+            return `${loader} ${resolution.version} or newer (minimum from ${resolution.requirements.length} mod requirement(s); no pack pins a version, so confirm the exact one)`;
+        }
+        const how = resolution.overridden ? 'set manually' : `highest of ${resolution.requirements.length} requirement(s)`;
+        const problems = resolution.unsatisfied.map(r => `${r.source} needs ${VersionComparator.describeRange(r.range)}`);
+        return problems.length === 0
+            ? `${loader} ${resolution.version} (${how})`
+            : `${loader} ${resolution.version} (${how}) does not satisfy: ${problems.join('; ')}`;
+    }
+}
+
+class PackLoader {
+    static async load(data, fileName, { pId, resolver, fallback = null, accept = () => true }) {
+        const zip = await JSZip.loadAsync(data);
+        const indexFile = zip.file("modrinth.index.json");
+        const cfManifest = indexFile ? null : await CurseForgeResolver.readManifest(zip);
+        const prismInstance = (indexFile || cfManifest) ? null : await PrismInstanceResolver.readInstance(zip);
+        const packwiz = (indexFile || cfManifest || prismInstance) ? null : await PackwizResolver.readPack(zip);
+
+        if (indexFile) {
+            const index = JSON.parse(await indexFile.async("string"));
+            if (!accept(index.name, 'Modrinth Pack')) return null;
+
+            const packFiles = index.files.map(f => ({
+                path: f.path,
+                fileName: f.path.split('/').pop(),
+                pId, pName: index.name,
+                enabled: true,
+                category: 'mods',
+                isStandard: false,
+                downloads: f.downloads,
+                side: EnvironmentResolver.fromEnv(f.env),
+                _original: f
+            }));
+
+            packFiles.push(...StandardPackResolver.resolveOverrides(zip, 'overrides', pId, index.name));
+            await resolver.hashFiles(packFiles);
+
+            const detectedLoader = ['neoforge', 'forge', 'quilt', 'fabric']
+                .find(loader => index.dependencies[MODRINTH_LOADER_KEYS[loader]]) || 'fabric';
+
+            MergeLog.success(`Loaded Modrinth Pack: ${index.name}`);
+            return {
+                pack: {
+                    id: pId, zip,
+                    name: index.name,
+                    ver: index.dependencies.minecraft,
+                    loader: detectedLoader,
+                    type: 'modrinth',
+                    metadata: index
+                },
+                files: packFiles
+            };
+        }
+
+        if (cfManifest) {
+            const name = cfManifest.name || fileName;
+            if (!accept(name, 'CurseForge Pack')) return null;
+
+            MergeLog.info(`Resolving ${cfManifest.files.length} CurseForge file(s) for "${name}"...`);
+            const packFiles = await CurseForgeResolver.resolve(zip, cfManifest, pId, name);
+            await resolver.hashFiles(packFiles);
+            const detected = CurseForgeResolver.detectMetadata(cfManifest);
+
+            const unresolved = packFiles.filter(f => f.curseforge && f.downloads.length === 0 && !f.distributionDisabled).length;
+            const restricted = packFiles.filter(f => f.distributionDisabled).length;
+            MergeLog.success(`Loaded CurseForge Pack: ${name}${unresolved ? ` (${unresolved} file(s) unresolved)` : ''}`);
+            if (restricted) MergeLog.warn(`${restricted} file(s) in "${name}" have downloads disabled by their author; they can only be kept in CurseForge and packwiz exports.`);
+            return {
+                pack: {
+                    id: pId, zip,
+                    name,
+                    ver: detected.ver || '1.20.1',
+                    loader: detected.loader || 'forge',
+                    loaderVersion: detected.loaderVersion,
+                    type: 'curseforge',
+                    metadata: cfManifest
+                },
+                files: packFiles
+            };
+        }
+
+        if (prismInstance) {
+            const name = prismInstance.config.name || fileName;
+            if (!accept(name, 'Prism Instance')) return null;
+
+            const packFiles = PrismInstanceResolver.resolve(zip, prismInstance, pId, name);
+            await resolver.hashFiles(packFiles);
+            const detected = PrismInstanceResolver.detectMetadata(prismInstance.mmcPack);
+
+            MergeLog.success(`Loaded Prism Instance: ${name} (${detected.ver}, ${detected.loader || 'vanilla'} ${detected.loaderVersion || ''})`);
+            return {
+                pack: {
+                    id: pId, zip,
+                    name,
+                    ver: detected.ver || '1.20.1',
+                    loader: detected.loader || 'vanilla',
+                    loaderVersion: detected.loaderVersion,
+                    type: 'prism',
+                    metadata: prismInstance.mmcPack
+                },
+                files: packFiles
+            };
+        }
+
+        if (packwiz) {
+            const name = packwiz.pack.name || fileName;
+            if (!accept(name, 'packwiz Pack')) return null;
+
+            const packFiles = await PackwizResolver.resolve(zip, packwiz, pId, name);
+            await resolver.hashFiles(packFiles);
+            const detected = PackwizResolver.detectMetadata(packwiz.pack);
+
+            MergeLog.success(`Loaded packwiz Pack: ${name} (${packFiles.filter(f => !f.isStandard).length} metafile(s))`);
+            return {
+                pack: {
+                    id: pId, zip,
+                    name,
+                    ver: detected.ver || '1.20.1',
+                    loader: detected.loader || 'fabric',
+                    loaderVersion: detected.loaderVersion,
+                    type: 'packwiz',
+                    metadata: packwiz.pack
+                },
+                files: packFiles
+            };
+        }
+
+        if (!accept(fileName, 'Standard ZIP')) return null;
+        const packFiles = await StandardPackResolver.resolve(zip, pId, fileName);
+        await resolver.hashFiles(packFiles);
+        const detected = await StandardPackResolver.detectMetadata(zip, fallback);
+
+        MergeLog.success(`Loaded Standard ZIP: ${fileName} (Detected: ${detected.ver || '1.20.1'}, ${detected.loader || 'fabric'})`);
+        return {
+            pack: {
+                id: pId, zip,
+                name: fileName,
+                ver: detected.ver || '1.20.1',
+                loader: detected.loader || 'fabric',
+                type: 'standard'
+            },
+            files: packFiles
+        };
+    }
+}
+
+class PackExporter {
+    static encodeJson(data) {
+        return new TextEncoder().encode(JSON.stringify(data, null, 2));
+    }
+
+    static selectServerFiles(activeFiles) {
+        const clientFiles = activeFiles.filter(f => !EnvironmentResolver.isServerFile(f));
+        const serverFiles = activeFiles.filter(f => EnvironmentResolver.isServerFile(f));
+        MergeLog.info(`Server pack: removed ${clientFiles.length} client-only mod(s), resource pack(s) and shader pack(s).`);
+
+        const clientDeps = EnvironmentResolver.findClientOnlyDependencies(serverFiles, clientFiles.filter(f => f.category === 'mods'));
+        clientDeps.forEach(w => {
+            MergeLog.warn(`Warning: ${w.modId} (${w.file.fileName}) depends on client-only ${w.dependency} (${w.dependencyFile.fileName}), which was left out of the server pack.`);
+        });
+
+        const unknown = serverFiles.filter(f => f.category === 'mods' && !EnvironmentResolver.sideOf(f)).length;
+        if (unknown > 0) {
+            MergeLog.warn(`${unknown} mod(s) have no environment information and were kept. Run Deep Analysis to read it from their metadata.`);
+        }
+        return serverFiles;
+    }
+
+    static async build(format, { packs, files, configMerges, extractor, name, version, loaderVersion = null, onProgress = () => {} }) {
+        const exportFormat = EXPORT_FORMATS[format];
+        if (!exportFormat) throw new Error(`Unknown export format "${format}"`);
+
+        const output = [];
+        const finalFiles = [];
+        const curseforgeFiles = [];
+        const packwizRemote = [];
+        const embeddedFiles = [];
+        const finalFilePaths = new Set();
+        let activeFiles = files.filter(f => f.enabled);
+        if (format === 'server') activeFiles = this.selectServerFiles(activeFiles);
+
+        const total = activeFiles.length;
+        let done = 0;
+        for (const pack of packs) {
+            const packFiles = activeFiles.filter(f => f.pId === pack.id);
+            for (const f of packFiles) {
+                if (finalFilePaths.has(f.path)) { onProgress(++done, total); continue; }
+
+                try {
+                    let data;
+                    if (f.configMerge && configMerges.get(f.path) === f.configMerge) {
+                        data = f.configMerge.data ? f.configMerge.data.slice() : new TextEncoder().encode(f.configMerge.text);
+                    } else if (f.isStandard) {
+                        data = await f._entry.async("uint8array");
+                        if (exportFormat.references && f.category !== 'configs') embeddedFiles.push(f.path);
+                    } else if (format === 'mrpack' && f._original) {
+                        finalFiles.push(f._original);
+                    } else if (format === 'curseforge' && f.curseforge) {
+                        curseforgeFiles.push({ projectID: f.curseforge.projectID, fileID: f.curseforge.fileID, required: true });
+                    } else if (format === 'packwiz' && f.distributionDisabled) {
+                        packwizRemote.push(f);
+                    } else if (f.distributionDisabled) {
+                        MergeLog.warn(`Skipped ${f.fileName}: its author disabled third-party downloads, so only CurseForge and packwiz exports can include it.`);
+                    } else if (!f.downloads || f.downloads.length === 0) {
+                        MergeLog.warn(`Skipped ${f.fileName}: it has no download URL.`);
+                    } else if (format === 'packwiz') {
+                        packwizRemote.push(f);
+                    } else {
+                        data = await extractor.readFile(f);
+                        if (exportFormat.references && f.category !== 'configs') embeddedFiles.push(f.path);
+                    }
+
+                    if (data) output.push({ path: `${exportFormat.prefix}${f.path}`, data });
+                    finalFilePaths.add(f.path);
+                } catch (e) {
+                    MergeLog.error(`Failed: ${f.fileName}`);
+                }
+                onProgress(++done, total);
+            }
+        }
+
+        const base = packs[0];
+        if (base && !loaderVersion) loaderVersion = getLoaderVersion(base);
+
+        if (format === 'curseforge') {
+            output.push({
+                path: "manifest.json",
+                data: this.encodeJson({
+                    minecraft: {
+                        version: base ? base.ver : "1.20.1",
+                        modLoaders: base ? [{ id: loaderVersion ? `${base.loader}-${loaderVersion}` : base.loader, primary: true }] : []
+                    },
+                    manifestType: 'minecraftModpack',
+                    manifestVersion: 1,
+                    name,
+                    version,
+                    author: '',
+                    files: curseforgeFiles,
+                    overrides: 'overrides'
+                })
+            });
+        }
+
+        if (format === 'packwiz') {
+            output.push(...await PackwizResolver.createPackFiles({
+                name,
+                version,
+                ver: base ? base.ver : "1.20.1",
+                loader: base ? base.loader : 'fabric',
+                loaderVersion,
+                plainFiles: output.slice(),
+                remoteFiles: packwizRemote,
+                readFile: (file) => extractor.readFile(file)
+            }));
+        }
+
+        if (format === 'prism') {
+            output.push(...PrismInstanceResolver.createInstanceFiles({
+                name,
+                ver: base ? base.ver : "1.20.1",
+                loader: base ? base.loader : 'fabric',
+                loaderVersion
+            }));
+        }
+
+        if (embeddedFiles.length > 0) {
+            MergeLog.warn(`${embeddedFiles.length} file(s) could not be referenced and were embedded in the pack:`);
+            embeddedFiles.forEach(path => MergeLog.warn(`  - ${path}`));
+        }
+
+        if (format === 'mrpack') {
+            const dependencies = base && base.type === 'modrinth' && base.metadata ? { ...base.metadata.dependencies } : {};
+            dependencies.minecraft = base ? base.ver : '1.20.1';
+            const loaderKey = base && MODRINTH_LOADER_KEYS[base.loader];
+            if (loaderKey && loaderVersion) dependencies[loaderKey] = loaderVersion;
+            else if (loaderKey) MergeLog.warn(`No ${base.loader} version is known, so the index lists no loader. Set one before importing the pack.`);
+
+            output.push({
+                path: "modrinth.index.json",
+                data: this.encodeJson({
+                    formatVersion: 1,
+                    game: 'minecraft',
+                    versionId: version,
+                    name,
+                    files: finalFiles,
+                    dependencies
+                })
+            });
+        }
+
+        return output;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MergeLog, VersionComparator, TomlParser, Json5Parser, YamlParser, LineConfigParser, NbtCodec, ServerListMerger,
+        OptionsTxtMerger, ConfigMerger, JarMetadataExtractor, DependencyValidator, ConflictResolver, HashUtil,
+        EnvironmentResolver, LoaderCompatibility, CompatibilityValidator, StandardPackResolver, PrismInstanceResolver, PackwizResolver,
+        CurseForgeResolver, ModrinthError, ModrinthNetworkError, ModrinthNotFoundError, ModrinthRateLimitError,
+        ModrinthClient, FileDownloader, ModrinthResolver, ModUpdater, PackDiff, MergeRecipe, PackLoader, PackExporter,
+        LoaderVersionResolver, EXPORT_FORMATS, MODRINTH_LOADER_KEYS, getLoaderVersion
+    };
+}
@@ -0,0 +1,84 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const JSZip = require('jszip');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+let dir;
+
+async function writeZip(name, entries) {
+    const zip = new JSZip();
+    Object.entries(entries).forEach(([entry, content]) => zip.file(entry, content));
+    fs.writeFileSync(path.join(dir, name), await zip.generateAsync({ type: 'nodebuffer' }));
+}
+
+function mrpackIndex(name, dependencies, files = []) {
+    return JSON.stringify({ formatVersion: 1, game: 'minecraft', versionId: '1.0.0', name, files, dependencies });
+}
+
+function run(...args) {
+    return spawnSync(process.execPath, [CLI, ...args], { cwd: dir, encoding: 'utf8', timeout: 60000 });
+}
+
+test.before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'modpack-merger-'));
+    await writeZip('alpha.mrpack', {
+        'modrinth.index.json': mrpackIndex('Alpha', { minecraft: '1.20.1', 'fabric-loader': '0.15.0' }, [{
+            path: 'mods/a-1.0.jar',
+            hashes: { sha1: 'aa', sha512: 'bb' },
+            env: { client: 'required', server: 'required' },
+            downloads: ['https://cdn.modrinth.com/data/AAAA/versions/v1/a-1.0.jar'],
+            fileSize: 3
+        }]),
+        'overrides/config/x.json': '{"k":1}'
+    });
+    await writeZip('beta.zip', { 'config/x.json': '{"k":2,"m":3}' });
+    await writeZip('gamma.mrpack', { 'modrinth.index.json': mrpackIndex('Gamma', { minecraft: '1.19.2', forge: '43.2.0' }) });
+});
+
+test.after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('exits 0 and writes the merged pack when the packs merge cleanly', async () => {
+    const result = run('merge', 'alpha.mrpack', 'beta.zip', '-o', 'out.mrpack');
+    assert.equal(result.status, 0, result.stderr);
+
+    const zip = await JSZip.loadAsync(fs.readFileSync(path.join(dir, 'out.mrpack')));
+    const index = JSON.parse(await zip.file('modrinth.index.json').async('string'));
+    assert.deepEqual(index.files.map(f => f.path), ['mods/a-1.0.jar']);
+    assert.equal(index.dependencies['fabric-loader'], '0.15.0');
+    assert.deepEqual(JSON.parse(await zip.file('overrides/config/x.json').async('string')), { k: 1, m: 3 });
+});
+
+test('exits 1 when the packs target different Minecraft versions', () => {
+    const result = run('merge', 'alpha.mrpack', 'gamma.mrpack', '-o', 'mismatch.mrpack');
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Minecraft version mismatch/);
+    assert.ok(!fs.existsSync(path.join(dir, 'mismatch.mrpack')));
+});
+
+test('exits 2 on usage errors', () => {
+    assert.equal(run().status, 2);
+    assert.equal(run('merge').status, 2);
+    assert.equal(run('merge', 'alpha.mrpack', '--bogus').status, 2);
+    assert.equal(run('merge', 'alpha.mrpack', '--format', 'nope').status, 2);
+    assert.equal(run('split', 'alpha.mrpack').status, 2);
+});
+
+test('exits 2 when a pack cannot be read', () => {
+    const result = run('merge', 'missing.zip');
+    assert.equal(result.status, 2);
+    assert.match(result.stderr, /\[error\]/);
+});
+
+test('--help exits 0', () => {
+    const result = run('--help');
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /Usage: modpack-merger merge/);
+});
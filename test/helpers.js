@@ -0,0 +1,4 @@
+'use strict';
+
+globalThis.JSZip = require('jszip');
+module.exports = require('../core.js');
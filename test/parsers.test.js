@@ -0,0 +1,106 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TomlParser, Json5Parser, YamlParser, LineConfigParser, NbtCodec, ConfigMerger } = require('./helpers');
+
+test('TomlParser reads tables, arrays of tables and inline values', () => {
+    const data = TomlParser.parse([
+        'title = "Pack" # trailing comment',
+        'ratio = 1_000.5',
+        '',
+        '[client.render]',
+        "shader = 'literal\\path'",
+        'flags = [true, false]',
+        'point = { x = 1, y = -2 }',
+        '',
+        '[[mods]]',
+        'id = "a"',
+        '',
+        '[[mods]]',
+        'id = "b"',
+        ''
+    ].join('\n'));
+    assert.deepEqual(data, {
+        title: 'Pack',
+        ratio: 1000.5,
+        client: { render: { shader: 'literal\\path', flags: [true, false], point: { x: 1, y: -2 } } },
+        mods: [{ id: 'a' }, { id: 'b' }]
+    });
+});
+
+test('TomlParser.stringify round-trips through parse', () => {
+    const data = { name: 'Pack "One"', versions: { minecraft: '1.20.1' }, files: [{ file: 'a.toml', metafile: true }, { file: 'b.json' }] };
+    assert.deepEqual(TomlParser.parse(TomlParser.stringify(data)), data);
+});
+
+test('TomlParser rejects malformed documents', () => {
+    assert.throws(() => TomlParser.parse('key = "open'), /TOML parse error on line 1/);
+});
+
+test('Json5Parser accepts comments, unquoted keys and trailing commas', () => {
+    const data = Json5Parser.parse('{\n  // comment\n  name: \'x\',\n  "list": [1, 0x10, .5,],\n  /* block */ nested: { ok: true, },\n}');
+    assert.deepEqual(data, { name: 'x', list: [1, 16, 0.5], nested: { ok: true } });
+});
+
+test('YamlParser reads block mappings, sequences and flow collections', () => {
+    const data = YamlParser.parse('# header\nserver:\n  port: 25565 # the port\n  motd: "Hi: there"\nlist:\n  - a\n  - name: b\n    value: 2\nflow: {x: 1, y: [1, 2]}\nempty:\n');
+    assert.deepEqual(data, {
+        server: { port: 25565, motd: 'Hi: there' },
+        list: ['a', { name: 'b', value: 2 }],
+        flow: { x: 1, y: [1, 2] },
+        empty: null
+    });
+});
+
+test('LineConfigParser round-trips Forge-style configs with categories and lists', () => {
+    const text = '# Configuration file\n\ngeneral {\n    B:enabled=true\n    S:names <\n        a\n        b\n    >\n}\n';
+    const data = LineConfigParser.parse(text);
+    assert.deepEqual(data, { general: { 'B:enabled': 'true', 'S:names': ['a', 'b'] } });
+    assert.equal(LineConfigParser.stringify(data, text), text);
+
+    data.general['B:enabled'] = 'false';
+    const changed = LineConfigParser.stringify(data, text);
+    assert.match(changed, /^# Configuration file/);
+    assert.deepEqual(LineConfigParser.parse(changed), data);
+});
+
+test('NbtCodec encodes and decodes every tag type losslessly', () => {
+    const nbt = {
+        name: '',
+        root: {
+            type: 'compound',
+            value: {
+                byte: { type: 'byte', value: -3 },
+                short: { type: 'short', value: 300 },
+                int: { type: 'int', value: 70000 },
+                long: { type: 'long', value: 1n << 40n },
+                float: { type: 'float', value: 0.5 },
+                double: { type: 'double', value: 1.25 },
+                text: { type: 'string', value: 'héllo' },
+                bytes: { type: 'byteArray', value: [1, -1] },
+                ints: { type: 'intArray', value: [5] },
+                longs: { type: 'longArray', value: [7n] },
+                list: { type: 'list', value: { elementType: 'string', items: [{ type: 'string', value: 'a' }] } },
+                nested: { type: 'compound', value: { flag: { type: 'byte', value: 1 } } }
+            }
+        }
+    };
+    const bytes = NbtCodec.encode(nbt);
+    assert.deepEqual(NbtCodec.decode(bytes), nbt);
+    assert.deepEqual(NbtCodec.encode(NbtCodec.decode(bytes)), bytes);
+});
+
+test('ConfigMerger keeps comments and formatting when patching merged values', () => {
+    const toml = '# Header comment\n\n[general]\nname = \'abc\' # keep\n';
+    const tomlPatched = ConfigMerger.stringify('toml', { general: { name: 'xyz' }, extra: { z: 1 } }, { text: toml, data: TomlParser.parse(toml) });
+    assert.equal(tomlPatched, '# Header comment\n\n[general]\nname = \'xyz\' # keep\n\n[extra]\nz = 1\n');
+
+    const json = '{\n    // comment\n    "a": 1\n}\n';
+    const jsonPatched = ConfigMerger.stringify('json', { a: 2, b: true }, { text: json, data: Json5Parser.parse(json) });
+    assert.equal(jsonPatched, '{\n    // comment\n    "a": 2,\n    "b": true\n}\n');
+
+    const yaml = 'server:\n  port: 1 # the port\n';
+    const yamlPatched = ConfigMerger.stringify('yaml', { server: { port: 2, motd: 'hi' } }, { text: yaml, data: YamlParser.parse(yaml) });
+    assert.equal(yamlPatched, 'server:\n  port: 2 # the port\n  motd: hi\n');
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { NbtCodec, ServerListMerger, ConfigMerger } = require('./helpers');
+
+function serversDat(servers) {
+    const items = servers.map(([name, ip]) => ({
+        type: 'compound',
+        value: { name: { type: 'string', value: name }, ip: { type: 'string', value: ip } }
+    }));
+    return NbtCodec.encode({ name: '', root: { type: 'compound', value: { servers: { type: 'list', value: { elementType: 'compound', items } } } } });
+}
+
+function addresses(bytes) {
+    return ServerListMerger.readServers(NbtCodec.decode(bytes)).map(server => `${server.name}@${server.ip}`);
+}
+
+test('merge keeps the first copy of each address in priority order', () => {
+    const sources = [
+        { nbt: NbtCodec.decode(serversDat([['Hub', 'play.example.com'], ['Local', 'localhost']])) },
+        { nbt: NbtCodec.decode(serversDat([['Hub (old)', 'PLAY.example.com:25565'], ['Other', 'other.net:25570']])) }
+    ];
+    const { servers, removed } = ServerListMerger.merge(sources, null);
+    assert.deepEqual(servers.map(s => [s.name, s.address, s.source]), [
+        ['Hub', 'play.example.com', 0],
+        ['Local', 'localhost', 0],
+        ['Other', 'other.net:25570', 1]
+    ]);
+    assert.equal(removed.size, 0);
+    assert.deepEqual(addresses(ServerListMerger.encode(servers, sources[0].nbt)), ['Hub@play.example.com', 'Local@localhost', 'Other@other.net:25570']);
+});
+
+test('merge replays a saved order and removals', () => {
+    const sources = [
+        { nbt: NbtCodec.decode(serversDat([['A', 'a.net'], ['B', 'b.net']])) },
+        { nbt: NbtCodec.decode(serversDat([['C', 'c.net']])) }
+    ];
+    const { servers } = ServerListMerger.merge(sources, { servers: ['c.net', 'a.net'], removed: ['b.net'] });
+    assert.deepEqual(servers.map(s => s.address), ['c.net', 'a.net']);
+});
+
+test('buildMerges merges servers.dat copies from every pack', async () => {
+    const zip = new JSZip();
+    zip.file('one/servers.dat', serversDat([['A', 'a.net']]));
+    zip.file('two/servers.dat', serversDat([['A again', 'a.net'], ['B', 'b.net']]));
+    const loaded = await JSZip.loadAsync(await zip.generateAsync({ type: 'uint8array' }));
+    const packs = [{ id: 'p1', name: 'One' }, { id: 'p2', name: 'Two' }];
+    const files = packs.map((pack, i) => ({
+        path: 'servers.dat', fileName: 'servers.dat', pId: pack.id, pName: pack.name,
+        enabled: i === 0, isStandard: true, category: 'others', _entry: loaded.file(`${i === 0 ? 'one' : 'two'}/servers.dat`)
+    }));
+
+    const merges = await ConfigMerger.buildMerges(files, packs);
+    const merge = merges.get('servers.dat');
+    assert.equal(files[0].configMerge, merge);
+    assert.deepEqual(addresses(merge.data), ['A@a.net', 'B@b.net']);
+});
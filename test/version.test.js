@@ -0,0 +1,56 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { VersionComparator } = require('./helpers');
+
+test('compare orders release numbers numerically', () => {
+    assert.equal(VersionComparator.compare('1.10.0', '1.9.3'), 1);
+    assert.equal(VersionComparator.compare('1.2', '1.2.0'), 0);
+    assert.equal(VersionComparator.compare('0.15.7', '0.16.0'), -1);
+});
+
+test('compare ranks pre-releases below releases and numeric qualifiers above them', () => {
+    assert.equal(VersionComparator.compare('1.0-beta.2', '1.0'), -1);
+    assert.equal(VersionComparator.compare('1.0-alpha', '1.0-beta'), -1);
+    assert.equal(VersionComparator.compare('1.0-rc.1', '1.0-beta.5'), 1);
+    assert.equal(VersionComparator.compare('1.0-1', '1.0'), 1);
+    assert.equal(VersionComparator.compare('1.0-sp', '1.0-1'), -1);
+});
+
+test('compare reports versions that have no release number as incomparable', () => {
+    assert.ok(VersionComparator.isIncomparable(VersionComparator.compare('snapshot', '1.0')));
+});
+
+test('satisfies comparison operators and combined predicates', () => {
+    assert.ok(VersionComparator.satisfies('1.20.1', '>=1.20'));
+    assert.ok(!VersionComparator.satisfies('1.19.4', '>=1.20'));
+    assert.ok(VersionComparator.satisfies('1.20.1', '>=1.20 <1.21'));
+    assert.ok(!VersionComparator.satisfies('1.21', '>=1.20 <1.21'));
+    assert.ok(VersionComparator.satisfies('1.20.4', '~1.20.1'));
+    assert.ok(!VersionComparator.satisfies('2.0.0', '^1.4'));
+    assert.ok(VersionComparator.satisfies('1.19.2', ['1.18.2', '1.19.2']));
+    assert.ok(VersionComparator.satisfies('0.5.0', '<0.4 || >=0.5'));
+});
+
+test('satisfies wildcards', () => {
+    assert.ok(VersionComparator.satisfies('1.20.4', '1.20.x'));
+    assert.ok(!VersionComparator.satisfies('1.21', '1.20.*'));
+    assert.ok(VersionComparator.satisfies('1.21', '*'));
+});
+
+test('wildcards combined with comparison operators match nothing and are reported', () => {
+    assert.ok(!VersionComparator.satisfies('1.20.1', '>=1.20.x'));
+    assert.ok(!VersionComparator.satisfies('1.19', '<1.*'));
+    assert.deepEqual(VersionComparator.invalidPredicates('>=1.20.x <1.21'), ['>=1.20.x']);
+    assert.deepEqual(VersionComparator.invalidPredicates(['1.20.x', '>=1.19']), []);
+});
+
+test('satisfies Maven ranges', () => {
+    assert.ok(VersionComparator.satisfies('47.2.0', '[47,)'));
+    assert.ok(!VersionComparator.satisfies('46.0.1', '[47,)'));
+    assert.ok(VersionComparator.satisfies('1.5', '[1.0,2.0)'));
+    assert.ok(!VersionComparator.satisfies('2.0', '[1.0,2.0)'));
+    assert.ok(VersionComparator.satisfies('1.0', '(,1.0]'));
+    assert.ok(VersionComparator.satisfies('3.1', '[1.0,2.0),[3.0,)'));
+});